@@ -20,6 +20,7 @@
 
 const { app, BrowserWindow, Menu, powerSaveBlocker, ipcMain, dialog } = require('electron')
 const path = require('path')
+const fs = require('fs')
 
 function createWindow () {
     // Create the browser window.
@@ -75,6 +76,25 @@ function createMenu(win) {
                     click: () => win.webContents.executeJavaScript('selectModelFiles()', true)
                 },
                 { type: 'separator' },
+                {
+                    label: 'Open Project\u2026',
+                    accelerator: 'CommandOrControl+Shift+O',
+                    click: () => win.webContents.executeJavaScript('selectProjectFile()', true)
+                },
+                {
+                    label: 'Save Project\u2026',
+                    accelerator: 'CommandOrControl+S',
+                    click: () => win.webContents.executeJavaScript('ProjectPage.onSaveClicked()', true)
+                },
+                {
+                    label: 'Export Build Plate',
+                    submenu: [
+                        { label: 'STL\u2026', click: () => win.webContents.executeJavaScript('ProjectPage.onExportClicked("stl")', true) },
+                        { label: 'OBJ\u2026', click: () => win.webContents.executeJavaScript('ProjectPage.onExportClicked("obj")', true) },
+                        { label: '3MF\u2026', click: () => win.webContents.executeJavaScript('ProjectPage.onExportClicked("3mf")', true) }
+                    ]
+                },
+                { type: 'separator' },
                 isMac ? { role: 'close' } : { role: 'quit' }
             ]
         },
@@ -82,13 +102,14 @@ function createMenu(win) {
         {
             label: 'Edit',
             submenu: [
-                /*{ role: 'undo', enabled: false },
-                { role: 'redo', enabled: false },
-                { type: 'separator' },*/
-                { label: 'Center Selected Object', click: () => win.webContents.executeJavaScript('stage.menuAction("center_one")') },
+                { label: 'Undo', accelerator: 'CommandOrControl+Z',       click: () => win.webContents.executeJavaScript('stage.menuAction("undo")') },
+                { label: 'Redo', accelerator: 'CommandOrControl+Shift+Z', click: () => win.webContents.executeJavaScript('stage.menuAction("redo")') },
+                { type: 'separator' },
+                { label: 'Center Selected Object', click: () => win.webContents.executeJavaScript('stage.menuAction("center_some")') },
                 { label: 'Delete Selected Objects', click: () => win.webContents.executeJavaScript('stage.menuAction("delete_some")') },
                 { type: 'separator' },
                 { label: 'Edit Transform Values\u2026', click: () => win.webContents.executeJavaScript('stage.menuAction("xform_some")') },
+                { label: 'Cut Selected Objects\u2026', click: () => win.webContents.executeJavaScript('stage.menuAction("cut_some")') },
                 { type: 'separator' },
                 { label: 'Select All Objects', click: () => win.webContents.executeJavaScript('stage.menuAction("select_all")') },
                 { label: 'Arrange All Objects', click: () => win.webContents.executeJavaScript('stage.menuAction("arrange_all")') },
@@ -117,8 +138,10 @@ function createMenu(win) {
                 {label: 'Select Profiles\u2026',    click: () => win.webContents.executeJavaScript('settings.gotoPage("page_profiles")')},
                 {label: 'Place Objects\u2026',      click: () => win.webContents.executeJavaScript('settings.gotoPage("page_place")')},
                 {label: 'Slice Objects\u2026',      click: () => win.webContents.executeJavaScript('settings.gotoPage("page_slice")')},
+                {label: 'Save & Open Projects\u2026', click: () => win.webContents.executeJavaScript('settings.gotoPage("page_project")')},
                 { type: 'separator' },
                 {label: 'Machine Setup\u2026',      click: () => win.webContents.executeJavaScript('settings.gotoPage("page_machine")')},
+                {label: 'Post-Processing\u2026',    click: () => win.webContents.executeJavaScript('settings.gotoPage("page_postprocessing")')},
                 {label: 'Wireless Printing\u2026',  click: () => win.webContents.executeJavaScript('settings.gotoPage("page_config_wifi")')},
                 {label: 'Update Firmware\u2026',    click: () => win.webContents.executeJavaScript('settings.gotoPage("page_flash_fw")')},
                 {label: 'Advanced Features\u2026',  click: () => win.webContents.executeJavaScript('settings.gotoPage("page_advanced")')},
@@ -161,7 +184,107 @@ app.commandLine.appendSwitch("disable-renderer-backgrounding");
 app.commandLine.appendSwitch("disable-background-timer-throttling");
 
 app.allowRendererProcessReuse = false;
-app.whenReady().then(createWindow);
+
+const commandLine = parseCommandLine(process.argv.slice(app.isPackaged ? 1 : 2));
+app.whenReady().then(commandLine.slice ? () => runHeadless(commandLine) : createWindow);
+
+// Command line slicing functionality
+
+const usage = `Usage: SympleSlicer --slice <model files...> --printer <profile.toml> --material <profile.toml> -o <output.gcode> [--verbose]
+
+The G-code is written in the format given by "format" in the [output] section
+of the printer profile.
+
+Exit codes:
+    0 - The G-code was written
+    1 - Bad arguments, or a file could not be read or written
+    2 - The objects do not all fit in the print volume
+    3 - The slicer did not produce any G-code`;
+
+function parseCommandLine(argv) {
+    const args = {models: []};
+    for(let i = 0; i < argv.length; i++) {
+        switch(argv[i]) {
+            case '--slice':
+                args.slice = true;
+                while(i + 1 < argv.length && !argv[i + 1].startsWith('-')) {
+                    args.models.push(argv[++i]);
+                }
+                break;
+            case '--printer':  args.printer  = argv[++i]; break;
+            case '--material': args.material = argv[++i]; break;
+            case '-o':
+            case '--output':   args.output   = argv[++i]; break;
+            case '--verbose':  args.verbose  = true;      break;
+        }
+    }
+    return args;
+}
+
+/**
+ * Slices the models given on the command line in a hidden window, then
+ * writes out the G-code and quits. The renderer obtains the job and
+ * reports back through the "headless" IPC messages.
+ */
+function runHeadless(args) {
+    if(!args.models.length || !args.printer || !args.material || !args.output) {
+        console.error(usage);
+        app.exit(1);
+        return;
+    }
+
+    let job;
+    try {
+        job = {
+            models:   args.models.map(file => ({name: path.basename(file), data: fs.readFileSync(file)})),
+            printer:  fs.readFileSync(args.printer,  'utf8'),
+            material: fs.readFileSync(args.material, 'utf8'),
+            verbose:  args.verbose
+        };
+    } catch(err) {
+        console.error(err.message);
+        app.exit(1);
+        return;
+    }
+
+    // Messages go to stderr, so that stdout stays clean for scripts
+    ipcMain.handle('headlessGetJob', event => job);
+    ipcMain.on('headlessLog', (event, str) => console.error(str));
+    ipcMain.on('headlessFinish', (event, result) => {
+        if(result.message) {
+            console.error(result.message);
+        }
+        if(result.gcode) {
+            try {
+                fs.writeFileSync(args.output, result.gcode);
+            } catch(err) {
+                console.error(err.message);
+                app.exit(1);
+                return;
+            }
+        }
+        app.exit(result.exitCode);
+    });
+
+    let win = new BrowserWindow({
+        show: false,
+        webPreferences: {
+            nodeIntegration: false,
+            contextIsolation: false,
+            enableremotemodule: false,
+            backgroundThrottling: false,
+            preload: path.join(__dirname, 'ElectronPreload.js'),
+            additionalArguments: ['--headless-slicing']
+        }
+    });
+
+    win.webContents.on('crashed', () => {
+        console.error("The slicer crashed");
+        app.exit(3);
+    });
+
+    win.loadFile('index.html');
+}
 
 // Auto-update functionality
 
@@ -201,7 +324,7 @@ app.on('window-all-closed', () => {
 app.on('activate', () => {
     // On macOS it's common to re-create a window in the app when the
     // dock icon is clicked and there are no other windows open.
-    if (BrowserWindow.getAllWindows().length === 0) {
+    if (!commandLine.slice && BrowserWindow.getAllWindows().length === 0) {
       createWindow()
     }
 })
@@ -158,4 +158,13 @@ window.SerialTimeout = SerialTimeout;
 window.SerialDisconnected = SerialDisconnected;
 window.setPowerSaveEnabled = enabled => ipcRenderer.send('setPowerSaveEnabled', enabled);
 window.setPrintInProgress = enabled => ipcRenderer.send('setPrintInProgress', enabled);
-window.electronAppDownloadAndInstall = () => ipcRenderer.send('electronAppDownloadAndInstall');
\ No newline at end of file
+window.electronAppDownloadAndInstall = () => ipcRenderer.send('electronAppDownloadAndInstall');
+// Only present when the app was started from the command line with "--slice"
+
+if(process.argv.includes('--headless-slicing')) {
+    window.HeadlessIPC = {
+        getJob: () => ipcRenderer.invoke('headlessGetJob'),
+        log:    str => ipcRenderer.send('headlessLog', str),
+        finish: result => ipcRenderer.send('headlessFinish', result)
+    };
+}
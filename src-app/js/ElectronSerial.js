@@ -88,13 +88,158 @@ async function flashFirmware() {
     }
 }
 
-async function stream_gcode(gcode) {
-    if(!ProfileManager.usb) {
+let consoleConnection = null;
+
+// The promise for a console connection which is being opened, if any
+let consoleConnecting = null;
+
+// The protocol of the console or the print which is using the port, if any
+let printerProtocol = null;
+
+/**
+ * Connects to the printer for the printer console, without starting a print.
+ * Lines from the printer are passed to "onReceive(line)" and "onDisconnect(error)"
+ * is called when the connection ends, with the error if the printer went away.
+ */
+async function connectConsole(onReceive, onDisconnect) {
+    if(consoleConnection) {
+        return consoleConnection.port;
+    }
+    // Asking again while the port is being opened waits for the same connection
+    if(!consoleConnecting) {
+        consoleConnecting = openConsole(onReceive, onDisconnect).finally(() => consoleConnecting = null);
+    }
+    return consoleConnecting;
+}
+
+async function openConsole(onReceive, onDisconnect) {
+    if(printerProtocol) {
+        throw Error("The printer is busy printing");
+    }
+    const usb = ProfileManager.getSection("usb");
+    if(!usb) {
+        throw Error("No serial port information for this profile");
+    }
+    const marlin = await import('../lib/serial-tools/gcode-sender/MarlinSerialProtocol.js');
+
+    const usb_marlin = {vendorId: usb.marlin_vendor_id, productId: usb.marlin_product_id};
+    const matches = await SequentialSerial.matchPorts(usb_marlin);
+    if(matches.length == 0) {
+        throw Error("No printers found");
+    }
+    const sio = new SequentialSerial();
+    await sio.open(matches[0], usb.baudrate, consoleReadTimeout);
+
+    const proto = new marlin.MarlinSerialProtocol(sio);
+    proto.onDebugMsgCallback = PrinterConsolePage.write;
+    const monitor = new TemperatureMonitor(proto, PrinterConsolePage.showTemperatures);
+
+    const connection = consoleConnection = {port: matches[0], proto, open: true};
+    printerProtocol = proto;
+
+    // Read from the printer until disconnected. Commands which have been
+    // queued are sent each time around.
+    connection.reader = (async () => {
+        let error;
+        try {
+            while(connection.open) {
+                const line = await proto.readline();
+                if(line) {
+                    onReceive(line);
+                }
+                monitor.receive(line);
+            }
+        } catch(e) {
+            error = e;
+        } finally {
+            connection.open = false;
+            consoleConnection = null;
+            printerProtocol = null;
+            try {
+                await sio.close();
+            } catch(e) {
+                console.warn(e);
+            }
+            onDisconnect(error);
+        }
+    })();
+    return connection.port;
+}
+
+async function disconnectConsole() {
+    const connection = consoleConnection;
+    if(connection) {
+        connection.open = false;
+        await connection.reader;
+    }
+}
+
+function isConsoleConnected() {
+    return consoleConnection !== null;
+}
+
+/**
+ * Queues a command, such as one typed into the printer console, to be sent
+ * without a checksum. It goes ahead of the rest of the print, if printing.
+ */
+function sendPrinterCommand(line) {
+    if(!printerProtocol) {
+        throw Error("Not connected to a printer");
+    }
+    printerProtocol.sendCmdUnreliable(line);
+}
+
+// How long each read from the printer console waits, in seconds, which is
+// also how long a typed command may wait to be sent
+const consoleReadTimeout = 0.5;
+
+/**
+ * Has the printer report its temperatures every few seconds using M155.
+ * Firmware without auto-reporting is polled with M105 instead, once no
+ * reports have come for a while. The temperatures from the reports are
+ * passed to "onUpdate(temps)".
+ */
+class TemperatureMonitor {
+    constructor(proto, onUpdate) {
+        this.proto      = proto;
+        this.onUpdate   = onUpdate;
+        this.lastReport = Date.now();
+        this.lastPoll   = 0;
+        proto.sendCmdUnreliable("M155 S" + TemperatureMonitor.interval);
+    }
+
+    // Call with each line read from the printer, or "" when nothing was read
+    receive(line) {
+        const now   = Date.now();
+        const temps = PrinterConsole.parseTemperatures(line);
+        if(temps) {
+            this.lastReport = now;
+            this.onUpdate(temps);
+        }
+        const interval = TemperatureMonitor.interval * 1000;
+        if(now - this.lastReport > interval * 2 && now - this.lastPoll > interval) {
+            this.lastPoll = now;
+            this.proto.sendCmdUnreliable("M105");
+        }
+    }
+}
+
+// How often the temperatures are reported, in seconds
+TemperatureMonitor.interval = 2;
+
+async function stream_gcode(gcode, title = "Printing") {
+    const usb = ProfileManager.getSection("usb");
+    if(!usb) {
         throw Error("No serial port information for this profile");
     }
-    const usb     = ProfileManager.getSection("usb");
     const scripts = ProfileManager.getSection("scripts");
 
+    // The printer console and the print cannot share the port
+    if(consoleConnecting) {
+        throw Error("The printer console is still connecting");
+    }
+    await disconnectConsole();
+
     try {
         const marlin = await import('../lib/serial-tools/gcode-sender/MarlinSerialProtocol.js');
 
@@ -120,6 +265,8 @@ async function stream_gcode(gcode) {
         let asyncEvent = "";
         let proto = new marlin.MarlinSerialProtocol(sio);
         proto.onDebugMsgCallback = Log.write;
+        const monitor = new TemperatureMonitor(proto, PrinterConsolePage.showTemperatures);
+        printerProtocol = proto;
         proto.onResendCallback = Log.write;
         proto.onResyncCallback = count => {
             if(count > 2 && !confirm("The printer is not responding. Press OK to continue waiting, or Cancel to stop the print")) {
@@ -131,7 +278,7 @@ async function stream_gcode(gcode) {
         gcode = gcode.split(/\r?\n/);
 
         // Stream the GCODE
-        ProgressBar.message("Printing");
+        ProgressBar.message(title);
         
         ProgressBar.onAbort(() => {
             let okay = confirm("About to stop the print. Click OK to stop, Cancel to keep printing.");
@@ -149,8 +296,9 @@ async function stream_gcode(gcode) {
             await proto.sendCmdReliable(line);
             while(!await proto.clearToSend() || isPaused) {
                 const line = await proto.readline();
+                monitor.receive(line);
                 if(line) {
-                    if(!line.startsWith("ok")) {
+                    if(!PrinterConsole.isNoise(line)) {
                         Log.write(line);
                     }
                     /**
@@ -229,6 +377,7 @@ async function stream_gcode(gcode) {
         await proto.finishPrint();
         Log.write("Print finished.");
     } finally {
+        printerProtocol = null;
         if(sio) {
             sio.close();
         }
@@ -238,4 +387,38 @@ async function stream_gcode(gcode) {
     }
 }
 
+/**
+ * Prints the jobs in a PrintQueue one after another. Between jobs, the
+ * "next_print_gcode" script from the profile is run and the user is asked
+ * to confirm that the bed is clear. The queue stops at the first job that
+ * does not complete, or if the user declines to start the next one.
+ * "onChange()" is called whenever the queue or its history changes.
+ */
+async function print_queue(queue, onChange) {
+    const scripts = ProfileManager.getSection("scripts") || {};
+    let first = true;
+    while(queue.next) {
+        const job = queue.next;
+        if(!first) {
+            if(scripts.next_print_gcode) {
+                await stream_gcode(scripts.next_print_gcode, "Preparing for the next print");
+            }
+            if(!confirm("Make sure the print bed is clear, then click OK to print \"" + job.name + "\". Click Cancel to stop the queue.")) {
+                return;
+            }
+        }
+        first = false;
+        const started = Date.now();
+        try {
+            await stream_gcode(job.gcode, "Printing " + job.name);
+            queue.finish(job, "completed", started, Date.now());
+        } catch(err) {
+            queue.finish(job, err instanceof PrintAborted ? "stopped" : "failed", started, Date.now(), err.message);
+            throw err;
+        } finally {
+            onChange();
+        }
+    }
+}
+
 class PrintAborted extends Error {};
\ No newline at end of file
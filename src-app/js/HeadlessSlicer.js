@@ -0,0 +1,108 @@
+/**
+ * WebSlicer
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The HeadlessSlicer runs a slicing job given on the command line of the
+ * desktop app. The window is never shown; the models and profiles are
+ * obtained from the main process through "HeadlessIPC", which is also
+ * used to hand back the G-code and the exit code.
+ */
+class HeadlessSlicer {
+    static async run() {
+        // There is nobody to respond to dialog boxes
+        window.alert   = message => HeadlessIPC.log(String(message));
+        window.confirm = message => {HeadlessIPC.log(String(message)); return false;};
+
+        let job;
+        try {
+            job = await HeadlessIPC.getJob();
+            if(job.verbose) {
+                slicer.onStdoutOutput = HeadlessIPC.log;
+                slicer.onStderrOutput = HeadlessIPC.log;
+            }
+
+            ProfileManager.applyPresetStrings(job.printer, job.material);
+            MachineSettingsPage.onPrinterSizeChanged();
+
+            // Only one G-code file is written, so everything must go on one plate
+            document.getElementById("arrange_overflow").checked = false;
+
+            for(const model of job.models) {
+                const geometries = await HeadlessSlicer.loadModel(model);
+                if(!geometries.length) {
+                    throw Error("No geometry found in " + model.name);
+                }
+                // Models are placed at their original size, so that any which
+                // are too big are reported rather than silently scaled down
+                const objs = geometries.map(geometry => new PrintableObject(geometry));
+                stage.addObjects(objs, false);
+                objs.forEach(obj => stage.dropObjectToFloor(obj));
+            }
+            await stage.arrangeObjectsOnPlatform();
+        } catch(error) {
+            HeadlessSlicer.finish(HeadlessSlicer.exitCodes.badInput, error.message);
+            return;
+        }
+
+        const outOfBounds = stage.objects.filter(obj => !stage.testWithinBounds(obj));
+        if(outOfBounds.length) {
+            HeadlessSlicer.finish(HeadlessSlicer.exitCodes.outOfBounds,
+                outOfBounds.length + " of " + stage.objects.length + " objects are outside the print volume");
+            return;
+        }
+
+        try {
+            // The G-code is written in the format chosen by the printer profile,
+            // but to the file named on the command line
+            const data   = await SliceObjectsPage.slicePlate();
+            const output = PrintAndPreviewPage.encodeOutput(new TextDecoder().decode(data), "output.gcode");
+            HeadlessIPC.finish({exitCode: HeadlessSlicer.exitCodes.success, gcode: new Uint8Array(await output.blob.arrayBuffer())});
+        } catch(error) {
+            HeadlessSlicer.finish(HeadlessSlicer.exitCodes.slicingFailed, error.message);
+        }
+    }
+
+    /**
+     * Loads a model file, returning a promise for its geometries. A 3MF
+     * or OBJ file may hold several, while an STL file holds exactly one.
+     */
+    static loadModel(model) {
+        return new Promise((resolve, reject) => {
+            const geometries = [];
+            // A file may hold several meshes, each of which arrives separately
+            geoLoader.onGeometryLoaded = geometry => geometries.push(geometry);
+            geoLoader.onLoadFinished   = () => resolve(geometries);
+            geoLoader.onStderrOutput   = message => reject(Error(model.name + ": " + message));
+            // The file contents arrive as a Uint8Array, but the loader takes an ArrayBuffer
+            const data = model.data.buffer.slice(model.data.byteOffset, model.data.byteOffset + model.data.byteLength);
+            geoLoader.load(model.name, data);
+        });
+    }
+
+    static finish(exitCode, message) {
+        HeadlessIPC.finish({exitCode, message});
+    }
+}
+
+// These must agree with the usage message in "ElectronMain.js"
+HeadlessSlicer.exitCodes = {
+    success:       0,
+    badInput:      1,
+    outOfBounds:   2,
+    slicingFailed: 3
+};
@@ -18,16 +18,74 @@
  */
 
 class PrintableObject extends THREE.Mesh {
-    constructor(geometry) {
+    /**
+     * Creates an object from a geometry.
+     *
+     *   geometry - A BufferGeometry
+     *   role     - Optional; if given, the object is a modifier mesh (see "role")
+     */
+    constructor(geometry, role) {
         geometry.computeBoundingSphere();
         geometry.computeBoundingBox();
         super(geometry, PrintableObject.normalMaterial);
         this.generateConvexHull();
-        this.castShadow = true;
+        // Slicer settings which apply only to this object
+        this.overrides = {};
+        this.role = role || null;
+    }
+
+    /**
+     * A modifier is a helper volume which is not printed, but which changes
+     * how the slicer treats the parts it overlaps. The role is one of the
+     * keys in "PrintableObject.modifierRoles", or null for regular objects.
+     */
+    set role(role) {
+        this._role      = role;
+        this.castShadow = !role;
+        // Draw transparent modifiers after the opaque objects
+        this.renderOrder = role ? 1 : 0;
+        this.error = false;
+    }
+
+    get role() {
+        return this._role;
+    }
+
+    get isModifier() {
+        return this._role !== null;
     }
 
     set error(error) {
-        this.material = error ? PrintableObject.errorMaterial : PrintableObject.normalMaterial;
+        if(this.isModifier) {
+            this.material = error ? PrintableObject.modifierErrorMaterial : PrintableObject.modifierMaterials[this.role];
+        } else {
+            this.material = error ? PrintableObject.errorMaterial : PrintableObject.normalMaterial;
+        }
+    }
+
+    /**
+     * Returns the per-mesh settings to pass to the slicer. For modifiers,
+     * this includes the setting that tells the slicer what role it plays.
+     */
+    get meshSettings() {
+        const settings = {...this.overrides};
+        if(this.isModifier) {
+            settings[this.role] = true;
+        }
+        return settings;
+    }
+
+    /**
+     * Returns true if an object, or any of its children, is a modifier.
+     */
+    static containsModifiers(obj) {
+        let found = false;
+        obj.traverse(child => {
+            if(child instanceof PrintableObject && child.isModifier) {
+                found = true;
+            }
+        });
+        return found;
     }
 
     generateConvexHull() {
@@ -88,7 +146,41 @@ class PrintableObject extends THREE.Mesh {
         return PrintableObject._applyAlgorithm(obj, relativeTo, initialBox,
             (geo, xform, data, child) => GeometryAlgorithms.findBoundingBox(geo, xform, data));
     }
+
+    /**
+     * Finds the outline of an object's footprint, as the convex hull of
+     * its vertices projected onto the XY plane
+     *
+     * obj        - The object for which we wish to compute the footprint.
+     * relativeTo - Relative to this object's coordinate system.
+     */
+    static findFootprint(obj, relativeTo) {
+        const points = PrintableObject._applyAlgorithm(obj, relativeTo, [], (geo, xform, points) => {
+            GeometryAlgorithms.forEachVertex(geo, v => {
+                v.applyMatrix4(xform);
+                points.push({x: v.x, y: v.y});
+            });
+            return points;
+        });
+        return PolygonNester.convexHull(points);
+    }
 }
 
 PrintableObject.normalMaterial  = new THREE.MeshPhongMaterial( { color: 0xfafad2, side: THREE.DoubleSide, flatShading: true } );
-PrintableObject.errorMaterial   = new THREE.MeshPhongMaterial( { color: 0xfa3e34, side: THREE.DoubleSide, flatShading: true } );
\ No newline at end of file
+PrintableObject.errorMaterial   = new THREE.MeshPhongMaterial( { color: 0xfa3e34, side: THREE.DoubleSide, flatShading: true } );
+
+PrintableObject.modifierRoles = {
+    anti_overhang_mesh: "Support Blocker",
+    support_mesh:       "Support Enforcer",
+    infill_mesh:        "Infill Modifier",
+    cutting_mesh:       "Cutting Mesh"
+};
+
+PrintableObject.modifierMaterial = color => new THREE.MeshPhongMaterial( { color: color, side: THREE.DoubleSide, flatShading: true, transparent: true, opacity: 0.4, depthWrite: false } );
+PrintableObject.modifierMaterials = {
+    anti_overhang_mesh: PrintableObject.modifierMaterial(0xe67e22),
+    support_mesh:       PrintableObject.modifierMaterial(0x3498db),
+    infill_mesh:        PrintableObject.modifierMaterial(0x2ecc71),
+    cutting_mesh:       PrintableObject.modifierMaterial(0xf1c40f)
+};
+PrintableObject.modifierErrorMaterial = PrintableObject.modifierMaterial(0xfa3e34);
\ No newline at end of file
@@ -59,6 +59,12 @@ class ProfileManager {
         mergeSection("usb");
         mergeSection("wireless");
         mergeSection("scripts");
+        mergeSection("output");
+
+        // The post-processing steps of each profile are run one after another
+        if(config.postprocessing) {
+            ProfileManager.profile.postprocessing = (ProfileManager.profile.postprocessing || []).concat(config.postprocessing);
+        }
 
         // Apply the slicer settings
         if(config.settings) {
@@ -70,7 +76,10 @@ class ProfileManager {
     static _saveProfileStr(options) {
         const toml = new TOMLWriter();
         if(ProfileManager.profile) {
-            toml.writeProperties(ProfileManager.profile, ["metadata", "usb", "wireless","scripts"]);
+            toml.writeProperties(ProfileManager.profile, ["metadata", "usb", "wireless", "scripts", "output"]);
+            if(ProfileManager.profile.postprocessing) {
+                toml.writeArrayOfTables("postprocessing", ProfileManager.profile.postprocessing);
+            }
         }
         toml.writeCategory("settings");
         slicer.dumpSettings(toml, options);
@@ -191,6 +200,14 @@ class ProfileManager {
         await ProfileManager.loadPresets("print", material);
     }
 
+    // Apply printer and material profiles given as TOML strings
+    static applyPresetStrings(printer, material) {
+        slicer.loadDefaults();
+        ProfileManager._loadDefaults();
+        ProfileManager._loadProfileStr(printer);
+        ProfileManager._loadProfileStr(material);
+    }
+
     static importConfiguration(data, initial) {
         slicer.loadDefaults(initial);
         ProfileManager._loadDefaults();
@@ -0,0 +1,207 @@
+/**
+ * WebSlicer
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A project file is a zip archive holding everything needed to restore
+ * a build plate:
+ *
+ *   project.json         - List of plates, their objects and transforms, and the selected presets
+ *   profile.toml         - The profile, as written by the ProfileManager
+ *   meshes/N.positions   - Vertex positions of a mesh (Float32)
+ *   meshes/N.indices     - Triangle indices of a mesh (Uint32), if the mesh is indexed
+ *
+ * Objects which share a geometry (such as multiple copies of a model)
+ * also share a mesh in the project file.
+ */
+class ProjectFile {
+    /**
+     * Returns a Blob with the contents of the project file
+     */
+    static async save() {
+        const state = stage.saveState();
+        const zip   = ProjectFile.pack(state.plates, {
+            printer:  settings.get("preset_select"),
+            material: settings.get("material_select"),
+            currentPlate: state.plateIndex
+        });
+        zip.file("profile.toml", ProfileManager.exportConfiguration({unchanged: false}));
+        return zip.generate({type: "blob", compression: "DEFLATE"});
+    }
+
+    /**
+     * Returns a JSZip holding the meshes of the plates and a "project.json"
+     * which lists them, along with the properties in "info"
+     *
+     *   plates - A list of {name, objects}, where each object is {object, matrix}
+     */
+    static pack(plates, info) {
+        const zip     = new JSZip();
+        const meshes  = [];
+        const geometries = new Map();
+
+        plates = plates.map(plate => {
+            const objects = [];
+            for(const {object, matrix} of plate.objects) {
+                const geometry = object.geometry;
+                if(!geometries.has(geometry)) {
+                    const id   = meshes.length;
+                    const mesh = {positions: "meshes/" + id + ".positions"};
+                    zip.file(mesh.positions, Float32Array.from(geometry.getAttribute("position").array).buffer);
+                    if(geometry.index) {
+                        mesh.indices = "meshes/" + id + ".indices";
+                        zip.file(mesh.indices, Uint32Array.from(geometry.index.array).buffer);
+                    }
+                    geometries.set(geometry, id);
+                    meshes.push(mesh);
+                }
+                objects.push(ProjectFile.serializeObject(object, matrix, geometries.get(geometry)));
+            }
+            return {name: plate.name, objects};
+        });
+
+        const project = {version: ProjectFile.version, ...info, meshes, plates};
+        zip.file("project.json", JSON.stringify(project, null, 2));
+        return zip;
+    }
+
+    /**
+     * Reads and checks the contents of a project file, without changing
+     * the build plate. Returns {project, profile, geometries}, where
+     * "profile" is the text of the profile, if there is one, and
+     * "geometries" holds a BufferGeometry for each mesh.
+     *
+     *   data - An ArrayBuffer with the contents of the project file
+     */
+    static unpack(data) {
+        const zip = new JSZip(data);
+        const projectFile = zip.file("project.json");
+        if(!projectFile) {
+            throw Error("This file does not appear to be a project file");
+        }
+        const project = JSON.parse(projectFile.asText());
+        if(project.version > ProjectFile.version) {
+            throw Error("This project was saved by a newer version of Symple Slicer");
+        }
+
+        function check(condition) {
+            if(!condition) {
+                throw Error("This project file is damaged or incomplete");
+            }
+        }
+
+        function readArray(type, path) {
+            const file = path && zip.file(path);
+            check(file);
+            const buffer = file.asArrayBuffer();
+            check(buffer.byteLength % (type.BYTES_PER_ELEMENT * 3) == 0);
+            return new type(buffer);
+        }
+
+        // Read the meshes
+        const geometries = [];
+        check(Array.isArray(project.meshes));
+        for(const mesh of project.meshes) {
+            const geometry = new THREE.BufferGeometry();
+            const positions = readArray(Float32Array, mesh.positions);
+            check(positions.length > 0);
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            if(mesh.indices) {
+                const indices = readArray(Uint32Array, mesh.indices);
+                check(indices.every(i => i < positions.length / 3));
+                geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+            }
+            geometry.computeVertexNormals();
+            geometries.push(geometry);
+        }
+
+        // Version 1 projects had a single plate.
+        if(!project.plates) {
+            project.plates = [{name: Stage.newPlate(1).name, objects: project.objects}];
+        }
+        check(Array.isArray(project.plates));
+        for(const plate of project.plates) {
+            check(Array.isArray(plate.objects));
+            for(const entry of plate.objects) {
+                check(geometries[entry.mesh] && Array.isArray(entry.matrix) && entry.matrix.length == 16);
+            }
+        }
+
+        const profile = zip.file("profile.toml");
+        return {project, profile: profile ? profile.asText() : null, geometries};
+    }
+
+    /**
+     * Clears the build plate and restores it from the contents of a project file.
+     * The file is read in full first, so that a damaged one leaves the build
+     * plate as it was.
+     *
+     *   data - An ArrayBuffer with the contents of the project file
+     */
+    static async load(data) {
+        const {project, profile, geometries} = ProjectFile.unpack(data);
+        if(profile) {
+            toml.parse(profile);
+        }
+
+        // Restore the profile prior to placing the objects, as this
+        // changes the dimensions of the print bed.
+        stage.restoreState({plateIndex: 0, plates: [Stage.newPlate(1)]});
+        if(profile) {
+            ProfileManager.importConfiguration(profile);
+            MachineSettingsPage.onPrinterSizeChanged();
+        }
+        SelectProfilesPage.setSelectedPresets(project.printer, project.material);
+
+        // Restore the plates and their objects
+        stage.restoreState({
+            plateIndex: project.currentPlate || 0,
+            plates: project.plates.map(plate => ({
+                name:    plate.name,
+                objects: plate.objects.map(entry => ({
+                    object: ProjectFile.deserializeObject(entry, geometries),
+                    matrix: new THREE.Matrix4().fromArray(entry.matrix)
+                }))
+            }))
+        });
+        stage.clearHistory();
+    }
+
+    /**
+     * Returns a description of an object suitable for saving as JSON
+     */
+    static serializeObject(object, matrix, mesh) {
+        return {
+            mesh,
+            matrix:    matrix.toArray(),
+            overrides: object.overrides,
+            role:      object.role
+        };
+    }
+
+    /**
+     * Creates an object from the description made by "serializeObject()"
+     */
+    static deserializeObject(entry, geometries) {
+        const object = new PrintableObject(geometries[entry.mesh], entry.role);
+        new THREE.Matrix4().fromArray(entry.matrix).decompose(object.position, object.quaternion, object.scale);
+        Object.assign(object.overrides, entry.overrides);
+        return object;
+    }
+}
+
+ProjectFile.version = 2;
@@ -28,6 +28,7 @@ class RenderLoop {
         renderer.setClearColor( backgroundColor );
         renderer.shadowMap.enabled = true;
         renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.renderer = renderer;
 
         var camera   = new THREE.PerspectiveCamera( 30, window.innerWidth / window.innerHeight, 10, 3000 );
         this.camera = camera;
@@ -196,4 +197,47 @@ class RenderLoop {
     render() {
         this.composer.render();
     }
-}
\ No newline at end of file
+
+    /**
+     * Renders a scene offscreen, on a transparent background, and returns
+     * a canvas with the image. The scene is drawn at a higher resolution
+     * and scaled down, to smooth the edges.
+     */
+    renderOffscreen(scene, camera, width, height) {
+        const scale  = RenderLoop.offscreenSupersampling;
+        const w      = width * scale, h = height * scale;
+        const target = new THREE.WebGLRenderTarget(w, h);
+        const pixels = new Uint8Array(w * h * 4);
+        const clearColor = this.renderer.getClearColor().clone();
+        const clearAlpha = this.renderer.getClearAlpha();
+        this.renderer.setClearColor(0x000000, 0);
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(scene, camera);
+        this.renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+        this.renderer.setRenderTarget(null);
+        this.renderer.setClearColor(clearColor, clearAlpha);
+        target.dispose();
+
+        // WebGL returns the rows from the bottom up, so flip them over
+        const large = document.createElement("canvas");
+        large.width  = w;
+        large.height = h;
+        const image = large.getContext("2d").createImageData(w, h);
+        const row   = w * 4;
+        for(let y = 0; y < h; y++) {
+            image.data.set(pixels.subarray((h - 1 - y) * row, (h - y) * row), y * row);
+        }
+        large.getContext("2d").putImageData(image, 0, 0);
+
+        const canvas = document.createElement("canvas");
+        canvas.width  = width;
+        canvas.height = height;
+        const ctx = canvas.getContext("2d");
+        ctx.imageSmoothingQuality = "high";
+        ctx.drawImage(large, 0, 0, width, height);
+        return canvas;
+    }
+}
+
+// How many times larger than requested offscreen images are drawn
+RenderLoop.offscreenSupersampling = 2;
\ No newline at end of file
@@ -131,22 +131,30 @@ class SelectionGroup extends THREE.Object3D {
                     case 'Z': this.scale.z *= -1; break;
                 }
                 this.onTransformChange("scale");
+                this.onTransformEnd();
             }
         } );
 
         this.transformControl.addEventListener( 'change', event => {
-          this.onTransformChange(this.tranformMode);
+            if(this.mode == "cut") {
+                this.onCutPlaneChange();
+            } else {
+                this.onTransformChange(this.tranformMode);
+            }
         });
 
         control.addEventListener( 'dragging-changed', event => {
             if(this.viewControl) {
                 this.viewControl.enabled = ! event.value;
             }
+            this.isTransforming = event.value;
+            if(this.mode == "cut") {
+                // Moving the cut plane does not change the objects
+                return;
+            }
             if (event.value) {
-                this.isTransforming = true;
                 this.onTransformBegin();
             } else {
-                this.isTransforming = false;
                 this.onTransformEnd();
             }
         } );
@@ -166,22 +174,86 @@ class SelectionGroup extends THREE.Object3D {
         if(!mode || mode == "none") {
             this.mode = null;
             this.transformControl.detach();
+            this.showCutPlane(false);
         }
         else if(this.count) {
             this.transformControl.enabled = false;
             this.recompute();
+            this.showCutPlane(mode == "cut");
             this.mode = mode;
             switch(mode) {
                 case "move":    this.setTransformModeAndSpace("translate", "world"); break;
                 case "rotate":  this.setTransformModeAndSpace("rotate",    "world"); break;
                 case "scale":   this.setTransformModeAndSpace("scale",     "local"); break;
                 case "mirror":  this.setTransformModeAndSpace("translate", "local"); break;
+                case "cut":     this.setTransformModeAndSpace("translate", "world"); break;
             }
-            this.transformControl.attach(this);
+            this.transformControl.attach(mode == "cut" ? this.cutPlane : this);
             this.transformControl.enabled = true;
         }
     }
 
+    /**
+     * Switches to the "cut" mode, with the transform control set to
+     * either "translate" or "rotate" the cut plane.
+     */
+    setCutPlaneMode(mode) {
+        if(this.mode != "cut") {
+            this.setTransformMode("cut");
+        }
+        if(this.mode == "cut") {
+            this.setTransformModeAndSpace(mode, "world");
+        }
+    }
+
+    /**
+     * The cut plane is a helper object which shows where the selected objects
+     * will be cut. Its local Z axis is the normal of the plane.
+     */
+    get cutPlane() {
+        if(!this._cutPlane) {
+            const material = new THREE.MeshBasicMaterial({color: 0x4080ff, transparent: true, opacity: 0.3, side: THREE.DoubleSide, depthWrite: false});
+            this._cutPlane = new THREE.Mesh(new THREE.PlaneBufferGeometry(1, 1), material);
+            this._cutPlane.renderOrder = 2;
+            // Clicks should go through to the objects behind the plane
+            this._cutPlane.raycast = () => {};
+        }
+        return this._cutPlane;
+    }
+
+    /**
+     * Returns the transform of the cut plane, relative to the parent of the
+     * SelectionGroup, without the scaling that sizes the helper object.
+     */
+    get cutPlaneMatrix() {
+        return new THREE.Matrix4().compose(this.cutPlane.position, this.cutPlane.quaternion, new THREE.Vector3(1, 1, 1));
+    }
+
+    showCutPlane(visible) {
+        const plane = this.cutPlane;
+        if(visible && !plane.parent) {
+            this.parent.add(plane);
+            this.resetCutPlane();
+        }
+        if(!visible && plane.parent) {
+            plane.parent.remove(plane);
+        }
+    }
+
+    /**
+     * Makes the cut plane horizontal through the center of the selection
+     */
+    resetCutPlane() {
+        const plane = this.cutPlane;
+        const box   = new THREE.Box3().setFromObject(this);
+        const size  = box.getSize(new THREE.Vector3());
+        const span  = Math.max(size.x, size.y, size.z, 1) * 1.5;
+        this.parent.worldToLocal(box.getCenter(plane.position));
+        plane.rotation.set(0, 0, 0);
+        plane.scale.set(span, span, 1);
+        this.onCutPlaneChange();
+    }
+
     setTransformModeAndSpace(mode, space) {
         this.transformControl.setMode(mode);
         this.transformControl.setSpace(space);
@@ -212,4 +284,5 @@ class SelectionGroup extends THREE.Object3D {
     onTransformBegin() {}
     onTransformEnd() {}
     onSelectionChanged() {}
+    onCutPlaneChange() {}
 }
\ No newline at end of file
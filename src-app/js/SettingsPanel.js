@@ -29,13 +29,18 @@ class SettingsPanel {
         MaterialNotesPage.init(s);
         PlaceObjectsPage.init(s);
         ObjectTransformPage.init(s);
+        ObjectSettingsPage.init(s);
         SliceObjectsPage.init(s);
         PrintAndPreviewPage.init(s);
+        ProjectPage.init(s);
         MachineSettingsPage.init(s);
         StartAndEndGCodePage.init(s);
+        PostProcessingPage.init(s);
         ConfigWirelessPage.init(s);
         if(isDesktop) {
             MonitorWirelessPage.init(s);
+            PrinterConsolePage.init(s);
+            PrintQueuePage.init(s);
             UpdateFirmwarePage.init(s);
         }
         AdvancedFeaturesPage.init(s);
@@ -43,7 +48,8 @@ class SettingsPanel {
 
         s.done();
 
-        s.onPageExit = SettingsPanel.onPageExit;
+        s.onPageExit  = SettingsPanel.onPageExit;
+        s.onPageEnter = SettingsPanel.onPageEnter;
 
         PlaceObjectsPage.onDropModel();         // Disable buttons
         PlaceObjectsPage.onDropImage();         // Disable buttons
@@ -69,6 +75,11 @@ class SettingsPanel {
     }
 
     static async initProfiles(printer_menu, material_menu) {
+        if(isHeadless) {
+            // The profiles come from the command line and must not be stored
+            HeadlessSlicer.run();
+            return;
+        }
         try {
             await ProfileManager.populateProfileMenus(printer_menu, material_menu);
 
@@ -90,10 +101,17 @@ class SettingsPanel {
 
     static onPageExit(page) {
         if(page == "page_print") {
+            PrintAndPreviewPage.stopSimulation();
             stage.hideToolpath();
         }
     }
 
+    static onPageEnter(page) {
+        if(page == "page_postprocessing") {
+            PostProcessingPage.showSteps();
+        }
+    }
+
     /**
      * If the user drops a file anywhere other than the drop boxes,
      * then try to dispatchEvent it to the correct handler.
@@ -115,6 +133,10 @@ class SettingsPanel {
                     PlaceObjectsPage.onLoadTypeChanged("3d");
                     id = "model_file";
                     break;
+                case 'symple':
+                    settings.gotoPage("page_project");
+                    id = "project_file";
+                    break;
                 case 'toml':
                     settings.gotoPage("page_advanced");
                     settings.expand("import_settings");
@@ -222,6 +244,20 @@ class SelectProfilesPage {
         $(settings.ui).attr('data-keep-settings', e ? e.target.value : 'yes');
     }
 
+    /**
+     * Selects a printer and material in the menus, if available
+     */
+    static setSelectedPresets(printer, material) {
+        const selectIfAvailable = (id, value) => {
+            const el = document.getElementById(id);
+            if(value && Array.from(el.options).some(o => o.value == value)) {
+                el.value = value;
+            }
+        }
+        selectIfAvailable("preset_select",   printer);
+        selectIfAvailable("material_select", material);
+    }
+
     static setUseLastSettings(useLastSettings) {
         $('input[name="keep_settings"]').prop('checked', false);
         if(useLastSettings) {
@@ -270,11 +306,30 @@ class PlaceObjectsPage {
 
         s.div({id: "load_models"});
         s.file("Drag and drop 3D objects<br><small>(STL, OBJ, 3MF or GCO)</small>",
-                                                                     {id: "model_file", onchange: PlaceObjectsPage.onDropModel, mode: 'binary', multiple: 'multiple', accept: ".stl,.obj,.3mf,.gco,.gcode"});
+                                                                     {id: "model_file", onchange: PlaceObjectsPage.onDropModel, mode: 'binary', multiple: 'multiple', accept: ".stl,.obj,.3mf,.gco,.gcode,.bgcode,.gz"});
 
         s.category("Place More");
         s.number(     "How many more to place?",                     {id: "place_quantity", value: "1", min: "1", max: "50", onchange: SettingsPanel.enforceMinMax});
         s.button(     "Place more",                                  {className: "place_more", onclick: PlaceObjectsPage.onAddToPlatform});
+
+        s.category("Arrange");
+        s.number(     "Spacing between objects",                     {id: "arrange_spacing", value: localStorage.getItem("arrange_spacing") || "5", min: "0", max: "50", units: "mm", onchange: PlaceObjectsPage.onArrangeOptionChanged});
+        s.toggle(     "Allow rotating objects",                      {id: "arrange_rotate", checked: localStorage.getItem("arrange_rotate") == "true", onchange: PlaceObjectsPage.onArrangeOptionChanged});
+        s.toggle(     "Move objects that do not fit to new plates",  {id: "arrange_overflow", checked: localStorage.getItem("arrange_overflow") == "true", onchange: PlaceObjectsPage.onArrangeOptionChanged});
+        s.button(     "Arrange All",                                 {className: "requires_objects", onclick: PlaceObjectsPage.onArrangeClicked});
+        s.buttonHelp( "Click this button to arrange all objects on the print bed so that none overlap.");
+
+        s.category("Build Plates");
+        const plate_menu = s.choice( "Plate:",                       {id: "plate_select"});
+        s.text(       "Name:",                                       {id: "plate_name", onchange: PlaceObjectsPage.onRenamePlate});
+        s.separator(                                                 {type: "br"});
+        s.button(     "New Plate",                                   {onclick: PlaceObjectsPage.onAddPlate});
+        s.button(     "Delete Plate",                                {className: "requires_plates", onclick: PlaceObjectsPage.onRemovePlate});
+        s.buttonHelp( "Each plate holds its own set of objects and is sliced separately.");
+        plate_menu.element.addEventListener('change', PlaceObjectsPage.onPlateSelected);
+
+        s.category("Mesh Health",                                    {id: "mesh_health_category"});
+        s.element(                                                   {id: "mesh_health"});
         s.div();
 
         s.div({id: "load_images"});
@@ -290,12 +345,56 @@ class PlaceObjectsPage {
         s.buttonHelp( "Click this button to proceed to slicing.");
 
         s.enable(".requires_objects", false);
+        PlaceObjectsPage.onPlatesChanged();
     }
 
     static onObjectCountChanged(count) {
         settings.enable(".requires_objects", count > 0);
     }
 
+    /**
+     * Updates the list of plates after plates are added, removed or renamed
+     */
+    static onPlatesChanged() {
+        const menu = document.getElementById("plate_select");
+        if(!menu) {
+            return;
+        }
+        $(menu).empty();
+        stage.plateNames.forEach((name, i) => {
+            const option = document.createElement("option");
+            option.value = i;
+            option.textContent = name;
+            menu.appendChild(option);
+        });
+        menu.value = stage.plateIndex;
+        document.getElementById("plate_name").value = stage.plateName;
+        settings.enable(".requires_plates", stage.numPlates > 1);
+    }
+
+    static onPlateSelected(evt) {
+        stage.showPlate(parseInt(evt.target.value));
+    }
+
+    static onAddPlate() {
+        stage.addPlate();
+    }
+
+    static onRenamePlate() {
+        const name = settings.get("plate_name").trim();
+        if(name && name != stage.plateName) {
+            stage.renamePlate(stage.plateIndex, name);
+        } else {
+            PlaceObjectsPage.onPlatesChanged();
+        }
+    }
+
+    static onRemovePlate() {
+        if(stage.numObjects == 0 || confirm("Deleting \"" + stage.plateName + "\" will also delete the objects on it.")) {
+            stage.removePlate(stage.plateIndex);
+        }
+    }
+
     static onLoadTypeChanged(e) {
         let mode = e ? (typeof e == "string" ? e : e.target.value) : '3d';
         switch(mode) {
@@ -311,15 +410,19 @@ class PlaceObjectsPage {
     static onDropModel(data, filename) {
         // Check for pre-sliced gcode files
         if(filename) {
-            const extension = filename.split('.').pop();
-            if(extension == "gco" || extension == "gcode") {
+            const extension = filename.replace(/\.gz$/i, "").split('.').pop();
+            if(extension == "gco" || extension == "gcode" || extension == "bgcode") {
                 if(confirm("Loading pre-sliced G-code will clear any existing objects.\nAny printer, material or slicing choices you have made will be ignored.\nPrinting incompatible G-code could damage your printer.")) {
                     stage.removeAll();
-                    PrintAndPreviewPage.setOutputGcodeName(filename);
+                    PrintAndPreviewPage.setOutputGcodeName(filename.replace(/\.gz$/i, ""));
                     PrintAndPreviewPage.readyToDownload(data);
                 }
                 return;
             }
+            if(filename.match(/\.gz$/i)) {
+                alert("Only G-code can be loaded gzip compressed. Please decompress \"" + filename + "\" before loading it.");
+                return;
+            }
         }
         // Handle regular model files
         if(data) {
@@ -349,14 +452,35 @@ class PlaceObjectsPage {
 
     static onAddToPlatform() {
         const howMany = parseInt(settings.get("place_quantity"))
-        for(var i = 0; i < howMany; i++) {
-            stage.addGeometry(loaded_geometry);
-        }
+        stage.addGeometry(loaded_geometry, howMany);
+    }
+
+    static onArrangeOptionChanged(evt) {
+        SettingsPanel.enforceMinMax(evt);
+        localStorage.setItem("arrange_spacing", settings.get("arrange_spacing"));
+        localStorage.setItem("arrange_rotate",  settings.get("arrange_rotate"));
+        localStorage.setItem("arrange_overflow", settings.get("arrange_overflow"));
+    }
+
+    static onArrangeClicked() {
+        stage.arrangeAll();
+    }
+
+    /**
+     * Options for arranging objects, as chosen on this page
+     */
+    static get arrangeOptions() {
+        return {
+            spacing:       settings.get("arrange_spacing") || 0,
+            allowRotation: settings.get("arrange_rotate"),
+            overflow:      settings.get("arrange_overflow")
+        };
     }
 
     static onGeometryLoaded(geometry) {
         if(geometry) {
             loaded_geometry = geometry;
+            PlaceObjectsPage.showMeshReport(geometry.userData.meshReport);
             settings.enable('.place_more', true);
             PlaceObjectsPage.onAddToPlatform(); // Place the first object automatically
         } else {
@@ -369,6 +493,48 @@ class PlaceObjectsPage {
     static onGotoSliceClicked() {
         settings.gotoPage("page_slice");
     }
+
+    static onSelectionChanged() {
+        // Show the health of the selected object, or else of the last loaded model
+        const objs = stage.selection.children;
+        const geometry = objs.length == 1 ? objs[0].geometry : loaded_geometry;
+        PlaceObjectsPage.showMeshReport(geometry ? geometry.userData.meshReport : undefined);
+    }
+
+    static showMeshReport(report) {
+        const el = $("#mesh_health").empty();
+        if(!report) {
+            return;
+        }
+        const fixed = [], unfixed = [];
+        if(report.degenerateFaces)  fixed.push("Removed " + report.degenerateFaces + " degenerate faces");
+        if(report.duplicateFaces)   fixed.push("Removed " + report.duplicateFaces + " duplicate faces");
+        if(report.flippedFaces)     fixed.push("Flipped " + report.flippedFaces + " inverted faces");
+        if(report.holesFilled)      fixed.push("Filled " + report.holesFilled + " holes");
+        if(report.holes > report.holesFilled)
+                                    unfixed.push((report.holes - report.holesFilled) + " holes could not be filled");
+        if(report.nonManifoldEdges) unfixed.push(report.nonManifoldEdges + " non-manifold edges");
+        if(report.selfIntersections)
+                                    unfixed.push(report.selfIntersections + " self-intersecting faces");
+        if(report.selfIntersections === null)
+                                    unfixed.push("Too many faces to check for self-intersections");
+
+        el.append($("<p>").text(report.faces + " faces, " + report.vertices + " vertices"));
+        if(MeshRepair.isHealthy(report)) {
+            el.append($("<p>").text("No problems found"));
+        }
+        if(fixed.length) {
+            el.append($("<p>").text("Repaired automatically:"), PlaceObjectsPage._list(fixed));
+        }
+        if(unfixed.length) {
+            el.append($("<p>").text("Not repaired, may not slice correctly:").addClass("mesh_problem"), PlaceObjectsPage._list(unfixed));
+        }
+        settings.expand("mesh_health_category", unfixed.length > 0);
+    }
+
+    static _list(items) {
+        return $("<ul>").append(items.map(text => $("<li>").text(text)));
+    }
 }
 
 class ObjectTransformPage {
@@ -400,6 +566,17 @@ class ObjectTransformPage {
         s.number(         "X",                                       {id: "xform_rotation_x", className: "axis_r", units: "°", onchange: ObjectTransformPage.onEditRotation});
         s.number(         "Y",                                       {id: "xform_rotation_y", className: "axis_b", units: "°", onchange: ObjectTransformPage.onEditRotation});
         s.number(         "Z",                                       {id: "xform_rotation_z", className: "axis_g", units: "°", onchange: ObjectTransformPage.onEditRotation});
+
+        s.category(   "Cut",                                         {id: "xform_cut"});
+        s.number(         "Plane height",                            {id: "xform_cut_height", className: "axis_b", units: "mm", onchange: ObjectTransformPage.onEditCutHeight});
+        s.button(     "Move Plane",                                  {onclick: evt => stage.selection.setCutPlaneMode("translate")});
+        s.button(     "Rotate Plane",                                {onclick: evt => stage.selection.setCutPlaneMode("rotate")});
+        s.button(     "Reset Plane",                                 {onclick: ObjectTransformPage.onResetCutPlane});
+        s.separator(                                                 {type: "br"});
+        s.toggle(     "Add alignment pegs",                          {id: "xform_cut_pegs"});
+        s.number(         "Peg diameter",                            {id: "xform_cut_peg_diameter", value: "5", min: "2", max: "20", units: "mm", onchange: SettingsPanel.enforceMinMax});
+        s.button(     "Cut",                                         {onclick: ObjectTransformPage.onCutClicked});
+        s.buttonHelp( "Click this button to split the selected objects in two along the plane.");
         s.category();
 
         s.element(                                                   {id: "object-out-of-bounds"});
@@ -418,6 +595,7 @@ class ObjectTransformPage {
         settings.expand("xform_rotate",    mode == "rotate");
         settings.expand("xform_scale",     mode == "scale");
         settings.expand("xform_mirror",    mode == "mirror");
+        settings.expand("xform_cut",       mode == "cut");
         settings.gotoPage("page_transform");
     }
 
@@ -519,6 +697,41 @@ class ObjectTransformPage {
         stage.onTransformEdit();
     }
 
+    static onCutPlaneChange() {
+        $('#xform_cut_height').val(stage.selection.cutPlane.position.z.toFixed(2));
+    }
+
+    static onEditCutHeight() {
+        stage.selection.setCutPlaneMode("translate");
+        stage.selection.cutPlane.position.z = settings.get("xform_cut_height");
+        stage.render();
+    }
+
+    static onResetCutPlane() {
+        stage.selection.setCutPlaneMode("translate");
+        stage.selection.resetCutPlane();
+    }
+
+    static onCutClicked() {
+        if(stage.selection.mode != "cut") {
+            // Show the plane first, so the user can see where the cut will be
+            stage.selection.setCutPlaneMode("translate");
+            return;
+        }
+        try {
+            ProgressBar.message("Cutting objects");
+            stage.cutSelectedObjects({
+                pegs:        settings.get("xform_cut_pegs"),
+                pegDiameter: settings.get("xform_cut_peg_diameter")
+            });
+        } catch(error) {
+            alert(error);
+            console.error(error);
+        } finally {
+            ProgressBar.hide();
+        }
+    }
+
     static onTransformChange(mode) {
         const toDeg = rad => (rad * 180 / Math.PI).toFixed(0);
         switch(mode) {
@@ -554,6 +767,99 @@ class ObjectTransformPage {
     }
 }
 
+class ObjectSettingsPage {
+    static init(s) {
+        s.page(       "",                                            {id: "page_object_settings"});
+
+        s.heading(    "Settings for the selected objects:");
+        for(const key of ObjectSettingsPage.settingKeys) {
+            const sd = slicer.getOptionDescriptor(key);
+            const attr = {id: "obj_" + key, tooltip: sd.description, onchange: evt => ObjectSettingsPage.onSettingChanged(key)};
+            if(sd.type == "bool") {
+                const o = s.choice(sd.label,                         attr);
+                o.option(     "Same as other objects",               {value: ""});
+                o.option(     "Yes",                                 {value: "true"});
+                o.option(     "No",                                  {value: "false"});
+                o.element.addEventListener('change', attr.onchange);
+            } else {
+                s.number(     sd.label,                              {...attr, units: sd.unit, step: sd.type == 'int' ? 1 : 0.01, min: 0});
+            }
+        }
+        s.buttonHelp( "Leave a value blank to use the value from the \"Slice Objects\" page.");
+        s.footer();
+        s.button(     "Reset",                                       {onclick: ObjectSettingsPage.onResetClicked});
+        s.button(     "Close",                                       {onclick: ObjectSettingsPage.onClose});
+    }
+
+    static onToolChanged() {
+        ObjectSettingsPage.onSelectionChanged();
+        settings.gotoPage("page_object_settings");
+    }
+
+    static onClose() {
+        settings.dismissModal();
+    }
+
+    /**
+     * Shows the overrides for the selected objects. When the selected
+     * objects differ, the field is left blank.
+     */
+    static onSelectionChanged() {
+        const objs = stage.selection.children;
+        if(objs.length == 0) {
+            if(settings.currentPage == "page_object_settings") {
+                settings.dismissModal();
+            }
+            return;
+        }
+        for(const key of ObjectSettingsPage.settingKeys) {
+            const el = document.getElementById("obj_" + key);
+            const values = objs.map(obj => obj.overrides[key]);
+            const allSame = values.every(v => v === values[0]);
+            el.value = (allSame && values[0] !== undefined) ? values[0].toString() : "";
+            if(el.tagName == "INPUT") {
+                el.placeholder = slicer.getOption(key);
+            }
+        }
+    }
+
+    static onSettingChanged(key) {
+        const el = document.getElementById("obj_" + key);
+        let value;
+        if(el.value !== "") {
+            switch(slicer.getOptionDescriptor(key).type) {
+                case "bool": value = el.value == "true"; break;
+                case "int":  value = parseInt(el.value); break;
+                default:     value = parseFloat(el.value); break;
+            }
+        }
+        stage.changeOverrides(stage.selection.children.slice(), obj => {
+            if(value === undefined || Number.isNaN(value)) {
+                delete obj.overrides[key];
+            } else {
+                obj.overrides[key] = value;
+            }
+        }, "Change Object Settings");
+    }
+
+    static onResetClicked() {
+        stage.changeOverrides(stage.selection.children.slice(), obj => {
+            for(const key of ObjectSettingsPage.settingKeys) {
+                delete obj.overrides[key];
+            }
+        }, "Reset Object Settings");
+        ObjectSettingsPage.onSelectionChanged();
+    }
+}
+
+ObjectSettingsPage.settingKeys = [
+    "infill_sparse_density",
+    "wall_line_count",
+    "top_layers",
+    "bottom_layers",
+    "support_enable"
+];
+
 class SliceObjectsPage {
     static init(s) {
         SliceObjectsPage.initSlicerHelpers(s);
@@ -645,6 +951,8 @@ class SliceObjectsPage {
         s.footer();
         s.button(     "Slice",                                       {onclick: SliceObjectsPage.onSliceClicked});
         s.buttonHelp( "Click this button to generate a G-code file for printing.");
+        s.button(     "Slice All Plates",                            {className: "requires_plates", onclick: SliceObjectsPage.onSliceAllClicked});
+        s.buttonHelp( "Click this button to generate and save a G-code file for each plate.");
     }
 
     /**
@@ -707,7 +1015,84 @@ class SliceObjectsPage {
             Log.clear();
             ProgressBar.message("Slicing...");
             ProgressBar.progress(0);
-            slicer.slice(filenames);
+            PrintAndPreviewPage.setOutputPlate(stage.plateName);
+            slicer.slice(filenames, stage.getAllMeshSettings(), ProfileManager.getSection("postprocessing"),
+                         SliceObjectsPage.renderThumbnails());
+        }
+    }
+
+    /**
+     * Renders the thumbnails for the G-code at the sizes listed in the
+     * machine profile, as in 'thumbnails = ["32x32", "220x124"]'
+     */
+    static renderThumbnails() {
+        const metadata = ProfileManager.getSection("metadata");
+        const sizes = [];
+        for(const size of (metadata && metadata.thumbnails) || []) {
+            const m = String(size).match(/^\s*(\d+)\s*x\s*(\d+)\s*$/i);
+            if(m && m[1] > 0 && m[2] > 0) {
+                sizes.push({width: parseInt(m[1]), height: parseInt(m[2])});
+            } else {
+                console.warn("Ignoring invalid thumbnail size:", size);
+            }
+        }
+        return stage.renderThumbnails(sizes).map((canvas, i) => ({
+            width:  sizes[i].width,
+            height: sizes[i].height,
+            png:    canvas.toDataURL("image/png").replace(/^data:image\/png;base64,/, "")
+        }));
+    }
+
+    /**
+     * Slices the current plate, returning a promise for the G-code. The
+     * promise is rejected if the slicer fails to produce any G-code.
+     */
+    static slicePlate() {
+        return new Promise((resolve, reject) => {
+            const onFileReceived = slicer.onFileReceived;
+            const onSliceFailed  = slicer.onSliceFailed;
+            const restore = () => {
+                slicer.onFileReceived = onFileReceived;
+                slicer.onSliceFailed  = onSliceFailed;
+            };
+            slicer.onFileReceived = data => {
+                restore();
+                resolve(data);
+            };
+            slicer.onSliceFailed = message => {
+                restore();
+                reject(new Error("Slicing failed: " + message));
+            };
+            SliceObjectsPage.onSliceClicked();
+        });
+    }
+
+    /**
+     * Slices each plate in turn, saving the G-code for each one. The last
+     * plate is shown in the preview.
+     */
+    static async onSliceAllClicked() {
+        let data, lastPlate;
+        try {
+            for(let i = 0; i < stage.numPlates; i++) {
+                stage.showPlate(i);
+                if(!stage.objects.some(obj => !obj.isModifier)) {
+                    continue;
+                }
+                data = await SliceObjectsPage.slicePlate();
+                lastPlate = i;
+                const output = PrintAndPreviewPage.encodeOutput(new TextDecoder().decode(data), settings.get("gcode_filename"));
+                saveAs(output.blob, output.name);
+            }
+        } catch(error) {
+            ProgressBar.hide();
+            alert(error);
+            console.error(error);
+            return;
+        }
+        if(data) {
+            stage.showPlate(lastPlate);
+            PrintAndPreviewPage.readyToDownload(data);
         }
     }
 }
@@ -718,7 +1103,10 @@ class PrintAndPreviewPage {
 
         s.category(   "Print Statistics",                            {open: "open"});
         s.text(           "Print time",                              {id: "print_time"});
-        s.number(         "Filament used",                           {id: "print_filament", units: "m"});
+        s.text(           "Filament used",                           {id: "print_filament"});
+        s.number(         "Layers",                                  {id: "print_layers"});
+        s.text(           "Print size",                              {id: "print_size"});
+        s.text(           "Temperatures",                            {id: "print_temperatures"});
 
         s.category(   "Preview Options",                             {open: "open"});
         s.toggle(         "Show shell",                              {id: "show_shell", onclick: PrintAndPreviewPage.onUpdatePreview, checked: 'checked'});
@@ -727,6 +1115,41 @@ class PrintAndPreviewPage {
         s.toggle(         "Show travel",                             {id: "show_travel", onclick: PrintAndPreviewPage.onUpdatePreview});
         s.slider(         "Show layer",                              {id: "preview_layer", oninput: PrintAndPreviewPage.onUpdateLayer});
         s.number(         "Top layer",                               {id: "current_layer"});
+        const color_menu = s.choice( "Color by",                     {id: "preview_color_by"});
+        for(const [mode, info] of Object.entries(Toolpath.colorModes)) {
+            color_menu.option(info.label,                            {value: mode});
+        }
+        color_menu.element.value = localStorage.getItem("preview_color_by") || "type";
+        color_menu.element.addEventListener('change', PrintAndPreviewPage.onColorModeChanged);
+        s.element(                                                   {id: "preview_legend"});
+        stage.setGcodeColorMode(color_menu.element.value);
+        s.toggle(         "Show extrusion width",                    {id: "preview_tubes", checked: localStorage.getItem("preview_tubes") == "true", onchange: PrintAndPreviewPage.onRenderModeChanged});
+        s.buttonHelp( "Draws the extrusions as beads of plastic, sized by the extrusion width and layer height, rather than as lines. Very large prints are always drawn as lines.");
+        stage.setGcodeRenderMode(localStorage.getItem("preview_tubes") == "true" ? "tubes" : "lines");
+
+        s.category(   "Layer Statistics");
+        s.text(           "Height",                                  {id: "current_layer_z"});
+        s.text(           "Layer time",                              {id: "current_layer_time"});
+        s.text(           "Filament used",                           {id: "current_layer_filament"});
+        s.text(           "Features",                                {id: "current_layer_features"});
+        s.element(                                                   {id: "layer_chart"});
+        s.buttonHelp( "The chart shows the time of each layer. Layers in red are printed faster than the minimum layer time and may not have time to cool, while those in purple take much longer than is typical. Click or drag across the chart to show a layer.");
+        const chart = new BarChart("#layer_chart");
+        chart.onBarSelected = PrintAndPreviewPage.onLayerChartClicked;
+        chart.tooltip = layer => "Layer " + layer + ": " + PrintAndPreviewPage.formatTime(chart.values[layer]);
+        PrintAndPreviewPage.layerChart = chart;
+
+        s.category(   "Simulation");
+        const speed_menu = s.choice( "Speed",                        {id: "simulation_speed"});
+        [1, 2, 5, 10, 50, 100, 500].forEach(speed => speed_menu.option(speed + "\u00D7", {value: speed}));
+        speed_menu.element.value = "10";
+        speed_menu.element.addEventListener('change', PrintAndPreviewPage.onSimulationSpeedChanged);
+        s.slider(         "Move in layer",                           {id: "simulation_move", min: 0, max: 0, oninput: PrintAndPreviewPage.onSimulationMoveChanged});
+        s.text(           "Elapsed time",                            {id: "simulation_time"});
+        s.element(                                                   {id: "simulation_gcode"});
+        s.button(     "Play",                                        {id: "simulation_play", onclick: PrintAndPreviewPage.onSimulationPlayClicked});
+        s.button(     "Stop",                                        {onclick: PrintAndPreviewPage.stopSimulation});
+        s.buttonHelp( "Click \"Play\" to watch the print, starting from the layer shown. The time is estimated from the acceleration and jerk limits in the machine settings.");
 
         s.category(   "Print Options",                               {open: "open"});
         const attr = {name: "print_destination", onchange: PrintAndPreviewPage.onOutputChanged};
@@ -746,7 +1169,8 @@ class PrintAndPreviewPage {
 
         s.div({className: "print-to-usb"});
         s.button(     "Print",                                       {onclick: PrintAndPreviewPage.onPrintClicked});
-        s.buttonHelp( "Click this button to print to your printer via a USB cable.");
+        s.button(     "Add to Queue",                                {onclick: PrintQueuePage.onAddCurrentClicked});
+        s.buttonHelp( "Click this button to print to your printer via a USB cable, or add the print to the print queue.");
         s.div();
 
         s.div({className: "print-to-wifi"});
@@ -818,54 +1242,255 @@ class PrintAndPreviewPage {
         settings.enable("#preview_layer", stage.isToolpathVisible);
     }
 
+    static onColorModeChanged() {
+        const mode = settings.get("preview_color_by");
+        localStorage.setItem("preview_color_by", mode);
+        stage.setGcodeColorMode(mode);
+        PrintAndPreviewPage.showLegend();
+    }
+
+    static onRenderModeChanged() {
+        const tubes = settings.get("preview_tubes");
+        localStorage.setItem("preview_tubes", tubes);
+        stage.setGcodeRenderMode(tubes ? "tubes" : "lines");
+    }
+
+    static showLegend() {
+        const el = $("#preview_legend").empty();
+        const legend = stage.getGcodeLegend();
+        if(!legend) {
+            return;
+        }
+        const rgb = color => "rgb(" + color.slice(0, 3).join() + ")";
+        if(legend.entries) {
+            legend.entries.forEach(entry => el.append(
+                $("<div>").append(
+                    $("<span>").addClass("legend-swatch").css("background", rgb(entry.color)),
+                    $("<span>").text(entry.label)
+                )
+            ));
+        } else {
+            const format = value => (Math.round(value * 10) / 10) + " " + legend.units;
+            el.append(
+                $("<div>").addClass("legend-gradient").css("background", "linear-gradient(to right, " + legend.gradient.map(rgb).join() + ")"),
+                $("<div>").addClass("legend-range").append(
+                    $("<span>").text(format(legend.min)),
+                    $("<span>").text(format(legend.max))
+                )
+            );
+        }
+    }
+
     static onUpdateLayer() {
         const layer = Math.trunc(settings.get("preview_layer"));
+        const sim = PrintAndPreviewPage.simulation;
+        if(sim && sim.isActive && sim.toolpath == stage.toolpath) {
+            sim.seekToSegment(stage.toolpath.layerStart(layer));
+            return;
+        }
         stage.setGcodeLayer(layer);
         $('#current_layer').val(layer);
+        PrintAndPreviewPage.showLayerStats(layer);
+    }
+
+    static onLayerChartClicked(layer) {
+        $('#preview_layer').val(layer);
+        PrintAndPreviewPage.onUpdateLayer();
+    }
+
+    // Shows the height, time, filament and features of a layer of the preview
+    static showLayerStats(layer) {
+        const stats = PrintAndPreviewPage.gcodeStats && PrintAndPreviewPage.gcodeStats.layerStats[layer];
+        const round = value => Math.round(value * 100) / 100;
+        $('#current_layer_z').val(stats ? round(stats.z) + " mm" : "");
+        $('#current_layer_time').val(stats ? PrintAndPreviewPage.formatTime(stats.time) : "");
+        $('#current_layer_filament').val(stats ? round(stats.filament) + " mm (" + round(stats.mass) + " g)" : "");
+        $('#current_layer_features').val(stats ? stats.features.map(Toolpath.typeLabel).join(", ") : "");
+        PrintAndPreviewPage.layerChart.setSelected(layer);
+    }
+
+    /**
+     * Charts the time of each layer, highlighting those which are quicker
+     * than the minimum layer time, and so may not cool, or unusually slow
+     */
+    static showLayerChart() {
+        const times   = Array.from(PrintAndPreviewPage.gcodeStats.layerStats, stats => stats ? stats.time : 0);
+        const sorted  = times.filter(time => time > 0).sort((a, b) => a - b);
+        const median  = sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+        const minTime = (parseFloat(slicer.getOption("cool_min_layer_time")) || 0) * PrintAndPreviewPage.fastLayerMargin;
+        const colors  = PrintAndPreviewPage.layerChartColors;
+        PrintAndPreviewPage.layerChart.setData(times, times.map(time =>
+            time > 0 && time < minTime                          ? colors.fast :
+            time > median * PrintAndPreviewPage.slowLayerFactor ? colors.slow : colors.normal
+        ));
+    }
+
+    /**
+     * Returns the simulation for the current toolpath, estimating the
+     * time of each move the first time it is needed
+     */
+    static getSimulation() {
+        if(PrintAndPreviewPage.simulation && PrintAndPreviewPage.simulation.toolpath != stage.toolpath) {
+            // The toolpath was cleared or replaced
+            PrintAndPreviewPage.simulation = null;
+            PrintAndPreviewPage.simulationLine = null;
+        }
+        if(!PrintAndPreviewPage.simulation && stage.toolpath) {
+            const sim       = new ToolpathSimulation(stage.toolpath, PrintAndPreviewPage.gcodeStats.times);
+            sim.speed       = parseFloat(settings.get("simulation_speed"));
+            sim.onUpdate    = PrintAndPreviewPage.onSimulationUpdate;
+            PrintAndPreviewPage.simulation = sim;
+        }
+        return PrintAndPreviewPage.simulation;
+    }
+
+    static onSimulationPlayClicked() {
+        const sim = PrintAndPreviewPage.getSimulation();
+        if(!sim) {
+            return;
+        }
+        if(sim.isPlaying) {
+            sim.pause();
+        } else {
+            if(!sim.isActive) {
+                sim.seekToSegment(stage.toolpath.layerStart(Math.trunc(settings.get("preview_layer"))));
+            }
+            sim.play();
+        }
+        $("#simulation_play").text(sim.isPlaying ? "Pause" : "Play");
+    }
+
+    static stopSimulation() {
+        const sim = PrintAndPreviewPage.simulation;
+        if(sim && sim.isActive) {
+            sim.stop();
+            $("#simulation_play").text("Play");
+            $("#simulation_gcode").empty();
+            PrintAndPreviewPage.simulationLine = null;
+            PrintAndPreviewPage.onUpdateLayer();
+        }
+    }
+
+    static onSimulationSpeedChanged() {
+        if(PrintAndPreviewPage.simulation) {
+            PrintAndPreviewPage.simulation.speed = parseFloat(settings.get("simulation_speed"));
+        }
+    }
+
+    static onSimulationMoveChanged() {
+        const sim = PrintAndPreviewPage.getSimulation();
+        if(sim) {
+            sim.seekToSegment(Math.trunc(settings.get("simulation_move")));
+        }
+    }
+
+    static onSimulationUpdate() {
+        const sim      = PrintAndPreviewPage.simulation;
+        const toolpath = stage.toolpath;
+
+        // Follow the nozzle with the layer slider
+        const layer = Math.min(toolpath.layerOfSegment(sim.segment), parseInt($("#preview_layer").attr("max")));
+        $('#preview_layer').val(layer);
+        $('#current_layer').val(layer);
+        PrintAndPreviewPage.showLayerStats(layer);
+        const first = toolpath.layerStart(layer);
+        const last  = layer < toolpath.nLayers ? toolpath.layerStart(layer + 1) - 1 : toolpath.nSegments - 1;
+        $("#simulation_move").attr({min: first, max: Math.max(first, last)}).val(sim.segment);
+
+        $("#simulation_time").val(PrintAndPreviewPage.formatTime(sim.time) + " of " + PrintAndPreviewPage.formatTime(sim.duration));
+
+        // Show the G-code around the line being printed
+        const line = toolpath.segmentLine[sim.segment];
+        if(line != PrintAndPreviewPage.simulationLine) {
+            PrintAndPreviewPage.simulationLine = line;
+            const el = $("#simulation_gcode").empty();
+            const context = 2;
+            PrintAndPreviewPage.gcodePath.getLines(line - context, line + context).forEach((text, i) => {
+                const number = Math.max(line - context, 1) + i;
+                el.append($("<div>").toggleClass("current", number == line).text(number + ": " + text));
+            });
+        }
+
+        if(!sim.isPlaying) {
+            $("#simulation_play").text("Play");
+        }
+        stage.render();
     }
 
     static readyToDownload(data) {
         ProgressBar.hide();
+        let gcode;
+        try {
+            gcode = GCodeEncoder.decode(data);
+        } catch(error) {
+            alert(error);
+            console.error(error);
+            return;
+        }
         settings.gotoPage("page_print");
-        var decoder = new TextDecoder();
-        this.loadSlicedGcode(decoder.decode(data));
-    }
-
-    static extractDataFromGcodeHeader(gcode) {
-        function getField(str) {
-            const r = new RegExp('^;' + str + ':\\s*([-0-9.]+)','m');
-            const m = gcode.match(r);
-            return m ? parseFloat(m[1]) : 0;
-        }
-        function toHMS(time) {
-            const hrs = Math.floor(time / 3600);
-            const min = Math.floor((time % 3600) / 60);
-            const sec = Math.floor(time % 60);
-            return hrs.toString().padStart(2, '0') + "h " +
-                   min.toString().padStart(2, '0') + "m " +
-                   sec.toString().padStart(2, '0') + "s";
-        }
-        const bounds = {
-            min: {x: getField("MINX"), y: getField("MINY"), z: getField("MINZ")},
-            max: {x: getField("MAXX"), y: getField("MAXY"), z: getField("MAXZ")}
-        };
-        const time_hms = toHMS(getField("TIME"));
-        const filament = getField("Filament used");
-        PrintAndPreviewPage.setPrintBounds(bounds);
-        PrintAndPreviewPage.setPrintTime(time_hms);
-        PrintAndPreviewPage.setPrintFilament(filament.toFixed(2));
+        this.loadSlicedGcode(gcode);
+    }
+
+    /**
+     * Works out the statistics of the G-code for the current printer,
+     * rather than relying on the header, which other slicers may not write
+     */
+    static analyzeGcode(gcode_path) {
+        const get      = name => slicer.getOption(name);
+        const metadata = ProfileManager.getSection("metadata");
+        const density  = metadata && metadata.filament_density;
+        const analyzer = new GCodeAnalyzer({
+            filamentDiameter: get("material_diameter"),
+            filamentDensity:  density,
+            limits:           PrintTimeEstimator.limitsFromSettings(get),
+            buildVolume:      GCodeAnalyzer.buildVolumeFromSettings(get)
+        });
+        const stats = analyzer.analyze(gcode_path);
+        const round = value => Math.round(value * 10) / 10;
+
+        // Without a density from the material profile, the mass is that of PLA
+        const grams    = density ? " g" : " g PLA";
+        const filament = stats.extruders.map(extruder => (extruder.length / 1000).toFixed(2) + " m (" + round(extruder.mass) + grams + ")");
+        const size     = stats.bounds ? ["x", "y", "z"].map(axis => round(stats.bounds.max[axis] - stats.bounds.min[axis])).join(" \u00D7 ") + " mm" : "";
+        const temps    = stats.maxTemperatures.extruders.map(temp => temp + "\u00B0C").join(", ");
+        const bed      = stats.maxTemperatures.bed ? stats.maxTemperatures.bed + "\u00B0C bed" : "";
+        PrintAndPreviewPage.setPrintTime(PrintAndPreviewPage.formatTime(stats.time));
+        PrintAndPreviewPage.setPrintFilament(filament.join(", "));
+        $("#print_layers").attr("value", stats.layers);
+        $("#print_size").attr("value", size);
+        $("#print_temperatures").attr("value", [temps, bed].filter(str => str).join(", "));
+        PrintAndPreviewPage.setOutOfBounds(stats.outOfBounds);
+        return stats;
+    }
+
+    static formatTime(time) {
+        const hrs = Math.floor(time / 3600);
+        const min = Math.floor((time % 3600) / 60);
+        const sec = Math.floor(time % 60);
+        return hrs.toString().padStart(2, '0') + "h " +
+               min.toString().padStart(2, '0') + "m " +
+               sec.toString().padStart(2, '0') + "s";
     }
 
     static loadSlicedGcode(str) {
+        PrintAndPreviewPage.stopSimulation();
+        PrintAndPreviewPage.simulation = null;
         gcode_blob = new Blob([str], {type: "text/plain"});
         var path = new GCodeParser(str);
-        stage.setGcodePath(path);
-        const max = Math.max(0, stage.getGcodeLayers() - 1);
+        PrintAndPreviewPage.gcodePath = path;
+        PrintAndPreviewPage.gcodeStats = PrintAndPreviewPage.analyzeGcode(path);
+        stage.setGcodePath(path, {
+            filamentDiameter: slicer.getOption("material_diameter"),
+            moveTimes:        PrintAndPreviewPage.gcodeStats.times
+        });
+        const max = stage.getGcodeLayers();
         $("#preview_layer").attr("max", max).val(max);
         $('#preview_layer').val(max);
         $('#current_layer').val(max);
-        PrintAndPreviewPage.extractDataFromGcodeHeader(str);
+        PrintAndPreviewPage.showLayerChart();
+        PrintAndPreviewPage.showLayerStats(max);
         PrintAndPreviewPage.onUpdatePreview();
+        PrintAndPreviewPage.showLegend();
     }
 
     static nothingToPrint() {
@@ -878,8 +1503,49 @@ class PrintAndPreviewPage {
 
     static onDownloadClicked() {
         if(PrintAndPreviewPage.nothingToPrint()) return;
-        const name = settings.get("gcode_filename");
-        saveAs(gcode_blob, name);
+        const output = PrintAndPreviewPage.encodeOutput(PrintAndPreviewPage.gcodePath.data, settings.get("gcode_filename"), PrintAndPreviewPage.gcodeStats);
+        saveAs(output.blob, output.name);
+    }
+
+    /**
+     * Encodes the G-code in the format chosen by the "[output]" section
+     * of the printer profile, returning the blob and its file name. The
+     * statistics from "analyzeGcode()", if given, go into the metadata.
+     */
+    static encodeOutput(gcode, name, stats) {
+        const output = ProfileManager.getSection("output") || {};
+        const format = output.format || "gcode";
+        const data   = GCodeEncoder.encode(gcode, format, {
+            metadata:    PrintAndPreviewPage.outputMetadata(stats),
+            compression: output.bgcode_compression
+        });
+        const type   = format == "gcode" || format == "compact" ? "text/plain" : "application/octet-stream";
+        return {blob: new Blob([data], {type}), name: GCodeEncoder.fileName(name, format)};
+    }
+
+    // Returns the metadata which is written in the header of binary G-code
+    static outputMetadata(stats) {
+        const get   = name => slicer.getOption(name);
+        const print = {};
+        if(stats) {
+            const length = stats.extruders.reduce((sum, extruder) => sum + extruder.length, 0);
+            const mass   = stats.extruders.reduce((sum, extruder) => sum + extruder.mass,   0);
+            print["filament used [mm]"]      = length.toFixed(2);
+            print["filament used [g]"]       = mass.toFixed(2);
+            print["estimated printing time"] = PrintAndPreviewPage.formatTime(stats.time);
+        }
+        return {
+            file:    {"Producer": "Symple Slicer"},
+            printer: Object.assign({"printer_model": get("machine_name")}, print),
+            print:   print,
+            slicer:  {
+                "layer_height":      get("layer_height"),
+                "nozzle_diameter":   get("machine_nozzle_size"),
+                "filament_diameter": get("material_diameter"),
+                "temperature":       get("material_print_temperature"),
+                "bed_temperature":   get("material_bed_temperature")
+            }
+        };
     }
 
     static async onPrintClicked() {
@@ -899,6 +1565,7 @@ class PrintAndPreviewPage {
 
     static async onPrintToWiFi() {
         if(PrintAndPreviewPage.nothingToPrint()) return;
+        // Printing starts straight away, so the printer gets plain G-code
         const file = SynDaverWiFi.fileFromBlob("printjob.gco", gcode_blob);
         try {
             await ConfigWirelessPage.uploadOrQueueFiles([file]);
@@ -910,8 +1577,8 @@ class PrintAndPreviewPage {
 
     static async onUploadToWiFi() {
         if(PrintAndPreviewPage.nothingToPrint()) return;
-        const name = settings.get("gcode_filename");
-        const file = SynDaverWiFi.fileFromBlob(name, gcode_blob);
+        const output = PrintAndPreviewPage.encodeOutput(PrintAndPreviewPage.gcodePath.data, settings.get("gcode_filename"), PrintAndPreviewPage.gcodeStats);
+        const file = SynDaverWiFi.fileFromBlob(output.name, output.blob);
         try {
             await ConfigWirelessPage.uploadOrQueueFiles([file]);
             if(isDesktop && confirm("This print has been saved to your printer. You can start a print at any time through the web management interface.\n\nClick OK to visit the web management interface now.")) {
@@ -931,15 +1598,11 @@ class PrintAndPreviewPage {
         $("#print_filament").attr("value",value);
     }
 
-    static setPrintBounds(bounds) {
-        if( bounds.min.x < 0 ||
-            bounds.min.y < 0 ||
-            bounds.min.z < 0 ||
-            bounds.max.x > $('#machine_width').val() ||
-            bounds.max.y > $('#machine_depth').val() ||
-            bounds.max.y > $('#machine_height').val()) {
+    static setOutOfBounds(outOfBounds) {
+        if(outOfBounds.count) {
             $("#gcode-out-of-bounds").show();
-            console.warn("The print will fall outside the printer's printable area");
+            console.warn("The print will fall outside the printer's printable area;", outOfBounds.count,
+                         "moves are out of bounds, starting on lines", outOfBounds.lines.join(", "));
         } else {
             $("#gcode-out-of-bounds").hide();
         }
@@ -947,7 +1610,122 @@ class PrintAndPreviewPage {
 
     static setOutputGcodeName(filename) {
         const extension = filename.split('.').pop();
-        document.getElementById("gcode_filename").value = filename.replace(extension, "gcode");
+        PrintAndPreviewPage.gcodeName = filename.replace(extension, "gcode");
+        document.getElementById("gcode_filename").value = PrintAndPreviewPage.gcodeName;
+    }
+
+    /**
+     * When there is more than one plate, adds the name of the plate
+     * being sliced to the G-code file name
+     */
+    static setOutputPlate(plateName) {
+        if(stage.numPlates > 1) {
+            const suffix = "_" + plateName.trim().replace(/\s+/g, "_").replace(/[^\w-]/g, "");
+            document.getElementById("gcode_filename").value = PrintAndPreviewPage.gcodeName.replace(/(\.gcode)?$/, suffix + "$1");
+        }
+    }
+}
+
+PrintAndPreviewPage.gcodeName = "output.gcode";
+PrintAndPreviewPage.gcodePath  = null;
+PrintAndPreviewPage.gcodeStats = null;
+PrintAndPreviewPage.layerChart = null;
+PrintAndPreviewPage.simulation = null;
+PrintAndPreviewPage.simulationLine = null;
+
+// Layers are taken to be too quick to cool when under this fraction of the
+// minimum layer time, allowing for our estimate differing from the slicer's
+PrintAndPreviewPage.fastLayerMargin = 0.95;
+
+// ...and to be slow when they take this many times the median layer time
+PrintAndPreviewPage.slowLayerFactor = 2;
+
+PrintAndPreviewPage.layerChartColors = {normal: "steelblue", fast: "firebrick", slow: "mediumpurple"};
+
+class ProjectPage {
+    static init(s) {
+        s.page(       "Save &amp; Open Projects",                     {id: "page_project"});
+
+        s.category(   "Save Project",                                {open: "open"});
+        s.text(       "Save as:",                                    {id: "project_filename", value: "project.symple", className: "webapp-only"});
+        s.separator(                                                 {type: "br"});
+        s.button(     "Save",                                        {onclick: ProjectPage.onSaveClicked});
+        s.buttonHelp( "Click this button to save the objects on the build plate and the current settings to a project file.");
+
+        s.category(   "Open Project",                                {open: "open"});
+        s.file(       "Drag and drop a project<br><small>(.SYMPLE)</small>", {id: "project_file", onchange: ProjectPage.onProjectDropped, mode: 'binary', accept: ".symple"});
+        s.buttonHelp( "Opening a project will replace all objects on the build plate and override all printer &amp; material presets.");
+
+        s.category(   "Export Build Plate");
+        const o = s.choice( "Format:",                               {id: "export_format"});
+        o.option(         "STL",                                     {value: "stl"});
+        o.option(         "OBJ",                                     {value: "obj"});
+        o.option(         "3MF",                                     {value: "3mf"});
+        o.element.addEventListener('change', ProjectPage.onExportFormatChanged);
+        s.text(       "Save as:",                                    {id: "export_filename", value: "build_plate.stl", className: "webapp-only"});
+        s.separator(                                                 {type: "br"});
+        s.button(     "Export",                                      {onclick: () => ProjectPage.onExportClicked()});
+        s.buttonHelp( "Click this button to export the objects on the build plate, as arranged, for use in other programs. Modifier meshes are not exported.");
+    }
+
+    static async onSaveClicked() {
+        try {
+            ProgressBar.message("Saving project");
+            const blob = await ProjectFile.save();
+            saveAs(blob, settings.get("project_filename"));
+        } catch(error) {
+            alert(error);
+            console.error(error);
+        } finally {
+            ProgressBar.hide();
+        }
+    }
+
+    static onExportFormatChanged() {
+        const el = document.getElementById("export_filename");
+        el.value = el.value.replace(/(\.[^.]*)?$/, "." + settings.get("export_format"));
+    }
+
+    /**
+     * Exports the build plate. If "format" is not given, the format
+     * selected on the page is used.
+     */
+    static async onExportClicked(format) {
+        if(format) {
+            document.getElementById("export_format").value = format;
+            ProjectPage.onExportFormatChanged();
+        }
+        const geometries = stage.getAllGeometry().filter((geometry, i) => !stage.objects[i].isModifier);
+        if(geometries.length == 0) {
+            alert("There are no objects on the build plate to export.");
+            return;
+        }
+        try {
+            ProgressBar.message("Exporting build plate");
+            const blob = await GeometryExporter.export(geometries, settings.get("export_format"));
+            saveAs(blob, settings.get("export_filename"));
+        } catch(error) {
+            alert(error);
+            console.error(error);
+        } finally {
+            ProgressBar.hide();
+        }
+    }
+
+    static async onProjectDropped(data, filename) {
+        if(!data) return;
+        try {
+            ProgressBar.message("Opening project");
+            await ProjectFile.load(data);
+            document.getElementById("project_filename").value = filename;
+            settings.gotoPage("page_place");
+        } catch(error) {
+            alert(error);
+            console.error(error);
+        } finally {
+            ProgressBar.hide();
+            settings.get("project_file").clear();
+        }
     }
 }
 
@@ -1018,6 +1796,109 @@ class StartAndEndGCodePage {
     }
 }
 
+class PostProcessingPage {
+    static init(s) {
+        s.page(       "Post-Processing",                             {id: "page_postprocessing"});
+
+        s.category(   "Scripts",                                     {open: "open"});
+        s.html('<div id="postprocessing_steps"></div>');
+
+        s.category(   "Add Script",                                  {open: "open"});
+        const script_menu = s.choice( "Script",                      {id: "postprocessing_script"});
+        for(const [name, script] of Object.entries(PostProcessor.scripts)) {
+            script_menu.option(script.label,                         {value: name});
+        }
+        s.button(     "Add",                                         {onclick: PostProcessingPage.onAddClicked});
+        s.buttonHelp( "Scripts modify the G-code after slicing, in order from top to bottom. They are saved along with the profile.");
+    }
+
+    // The steps are kept in the profile, so that they are saved with it
+    static get steps() {
+        if(!ProfileManager.profile.postprocessing) {
+            ProfileManager.profile.postprocessing = [];
+        }
+        return ProfileManager.profile.postprocessing;
+    }
+
+    static onAddClicked() {
+        PostProcessingPage.steps.push(PostProcessor.defaults(settings.get("postprocessing_script")));
+        PostProcessingPage.showSteps();
+    }
+
+    static moveStep(index, offset) {
+        const steps = PostProcessingPage.steps;
+        if(index + offset >= 0 && index + offset < steps.length) {
+            steps.splice(index + offset, 0, steps.splice(index, 1)[0]);
+            PostProcessingPage.showSteps();
+        }
+    }
+
+    static removeStep(index) {
+        PostProcessingPage.steps.splice(index, 1);
+        PostProcessingPage.showSteps();
+    }
+
+    static showSteps() {
+        const el = $("#postprocessing_steps").empty();
+        const steps = PostProcessingPage.steps;
+        if(!steps.length) {
+            el.text("No scripts have been added.");
+        }
+        steps.forEach((step, index) => {
+            const script = PostProcessor.scripts[step.script];
+            const enabled = $("<input type='checkbox'>")
+                .prop("checked", step.enabled !== false)
+                .on("change", e => step.enabled = e.target.checked);
+            const header = $("<div>").addClass("postprocessing-header").append(
+                $("<label>").append(enabled, $("<span>").text(script ? script.label : "Unknown script: " + step.script)),
+                $("<button>").text("\u25B2").attr("title", "Move up")  .on("click", () => PostProcessingPage.moveStep(index, -1)),
+                $("<button>").text("\u25BC").attr("title", "Move down").on("click", () => PostProcessingPage.moveStep(index,  1)),
+                $("<button>").text("\u2715").attr("title", "Remove")   .on("click", () => PostProcessingPage.removeStep(index))
+            );
+            const box = $("<div>").addClass("postprocessing-step").append(header).appendTo(el);
+            if(script) {
+                for(const [param, info] of Object.entries(script.params)) {
+                    box.append(PostProcessingPage.makeInput(step, param, info));
+                }
+            }
+        });
+    }
+
+    // Returns a labeled input which updates a parameter of a step
+    static makeInput(step, param, info) {
+        const value = step.hasOwnProperty(param) ? step[param] : info.value;
+        let input;
+        switch(info.type) {
+            case "number":
+                input = $("<input type='number'>").val(value).on("change", e => {
+                    const empty = e.target.value === "" && info.value === null;
+                    step[param] = empty ? null : parseFloat(e.target.value) || 0;
+                });
+                break;
+            case "toggle":
+                input = $("<input type='checkbox'>").prop("checked", value).on("change", e => step[param] = e.target.checked);
+                break;
+            case "choice":
+                input = $("<select>");
+                for(const [choice, label] of Object.entries(info.choices)) {
+                    input.append($("<option>").val(choice).text(label));
+                }
+                input.val(value).on("change", e => step[param] = e.target.value);
+                break;
+            case "gcode":
+                input = $("<textarea spellcheck='false'>").val(value).on("change", e => step[param] = e.target.value);
+                break;
+            default:
+                input = $("<input type='text'>").val(value).on("change", e => step[param] = e.target.value);
+        }
+        const label = $("<label>").text(info.label + (info.units ? " (" + info.units + ")" : ""));
+        if(info.tooltip) {
+            label.attr("title", info.tooltip);
+        }
+        return $("<div>").addClass("postprocessing-param").append(label, input);
+    }
+}
+
 class AdvancedFeaturesPage {
     static init(s) {
         s.page(       "Advanced Features",                           {id: "page_advanced"});
@@ -1470,6 +2351,521 @@ class MonitorWirelessPage {
     }
 }
 
+class PrinterConsolePage {
+    static init(s) {
+        s.page(       "Printer Console",                {id: "page_console"});
+        s.category(   "Connection",                     {open: "open"});
+        s.text(           "Status:",                    {id: "console_status", value: "Not connected"});
+        s.button(     "Connect",                        {id: "console_connect", onclick: PrinterConsolePage.onConnectClicked});
+        s.buttonHelp( "Click this button to connect to a USB connected printer without starting a print");
+
+        s.category(   "Machine Control",                {open: "open"});
+        const steps =
+        s.choice(         "Step size",                  {id: "jog_step"});
+        for(const step of PrinterConsolePage.jogSteps) {
+            steps.option(step + " mm", {value: step});
+        }
+        s.separator(                                    {type: "br"});
+        for(const axis of ["X", "Y", "Z"]) {
+            s.button( axis + "\u2212",                  {className: "jog-control", onclick: () => PrinterConsolePage.onJogClicked(axis, -1)});
+            s.button( axis + "+",                       {className: "jog-control", onclick: () => PrinterConsolePage.onJogClicked(axis,  1)});
+            s.button( "Home " + axis,                   {className: "jog-control", onclick: () => PrinterConsolePage.onHomeClicked(axis)});
+            s.buttonHelp( "Move or home the " + axis + " axis");
+        }
+        s.button(     "Home All",                       {className: "jog-control", onclick: () => PrinterConsolePage.onHomeClicked("")});
+        s.button(     "Motors Off",                     {className: "jog-control", onclick: PrinterConsolePage.onMotorsOffClicked});
+        s.buttonHelp( "Moves stay within the printable area once the axes have been homed");
+        s.number(         "Extrude length",             {id: "jog_extrude", units: "mm", min: 0, value: 5});
+        s.button(     "Extrude",                        {className: "jog-control", onclick: () => PrinterConsolePage.onExtrudeClicked(1)});
+        s.button(     "Retract",                        {className: "jog-control", onclick: () => PrinterConsolePage.onExtrudeClicked(-1)});
+        s.buttonHelp( "Heat the hotend before extruding");
+        s.slider(         "Fan",                        {id: "jog_fan", min: 0, max: 100, value: 0, onchange: PrinterConsolePage.onFanChanged});
+        s.separator(                                    {type: "br"});
+        for(const [corner, label] of Object.entries(PrinterConsolePage.cornerLabels)) {
+            s.button( label,                            {className: "jog-control", onclick: () => PrinterConsolePage.onCornerClicked(corner)});
+        }
+        s.buttonHelp( "Move the nozzle down to the bed at each corner, for leveling the bed by hand");
+
+        s.category(   "Bed Leveling Mesh");
+        s.choice(         "Report with",                {id: "mesh_command"})
+            .option(      "M420 V",                     {value: "M420 V"})
+            .option(      "G29 T (Unified Bed Leveling)", {value: "G29 T"});
+        s.button(     "Read Mesh",                      {className: "jog-control", onclick: PrinterConsolePage.onReadMeshClicked});
+        s.button(     "Hide Mesh",                      {onclick: PrinterConsolePage.onHideMeshClicked});
+        s.buttonHelp( "Reads the bed leveling mesh from the printer and shows it over the bed, with the heights exaggerated");
+        s.text(           "Lowest point",               {id: "mesh_min"});
+        s.text(           "Highest point",              {id: "mesh_max"});
+        s.text(           "Range",                      {id: "mesh_range"});
+        s.number(         "Screw pitch",                {id: "mesh_screw_pitch", units: "mm", min: 0.1, step: 0.05, value: 0.5,
+                                                         onchange: PrinterConsolePage.showScrewTurns});
+        for(const corner of PrinterConsolePage.screwCorners) {
+            s.text(       PrinterConsolePage.cornerLabels[corner] + " screw", {id: "mesh_screw_" + corner});
+        }
+
+        s.category(   "Console",                        {open: "open"});
+        s.element(                                      {id: "console_output"});
+        const input =
+        s.text(           "Command:",                   {id: "console_command", placeholder: "G28", spellcheck: false});
+        s.html('<datalist id="console_completions"></datalist>');
+        s.toggle(         "Show temperature reports",   {id: "console_temperatures"});
+        s.button(     "Send",                           {id: "console_send", onclick: PrinterConsolePage.onSendClicked, disabled: "disabled"});
+        s.button(     "Clear",                          {onclick: PrinterConsolePage.onClearClicked});
+        s.buttonHelp( "Use the up and down arrows to go through the commands you have sent");
+
+        s.category(   "Temperatures",                   {open: "open"});
+        s.element(                                      {id: "temperature_chart"});
+        s.text(           "Hotend:",                    {id: "console_hotend"});
+        s.text(           "Bed:",                       {id: "console_bed"});
+        s.number(         "Hotend target",              {id: "console_hotend_target", units: "\u00B0C", min: 0, value: 0});
+        s.number(         "Bed target",                 {id: "console_bed_target",    units: "\u00B0C", min: 0, value: 0});
+        s.button(     "Set",                            {onclick: PrinterConsolePage.onSetTemperaturesClicked});
+        s.button(     "Preheat",                        {onclick: PrinterConsolePage.onPreheatClicked});
+        s.button(     "Cool Down",                      {onclick: PrinterConsolePage.onCoolDownClicked});
+        s.buttonHelp( "Preheat uses the print and bed temperatures of the selected material");
+
+        PrinterConsolePage.temperatureChart = new LineChart("#temperature_chart", [
+            {label: "Hotend",        color: PrinterConsolePage.temperatureColors.hotend},
+            {label: "Hotend target", color: PrinterConsolePage.temperatureColors.hotend, dashed: true},
+            {label: "Bed",           color: PrinterConsolePage.temperatureColors.bed},
+            {label: "Bed target",    color: PrinterConsolePage.temperatureColors.bed,    dashed: true}
+        ]);
+
+        input.setAttribute("list", "console_completions");
+        input.addEventListener("keydown", PrinterConsolePage.onCommandKeyDown);
+        input.addEventListener("input",   PrinterConsolePage.onCommandInput);
+        $("#jog_step").val(PrinterConsolePage.defaultJogStep);
+        PrinterConsolePage.enableControls(false);
+    }
+
+    static async onConnectClicked() {
+        try {
+            if(isConsoleConnected()) {
+                await disconnectConsole();
+            } else {
+                PrinterConsolePage.setStatus("Connecting");
+                const get = name => slicer.getOption(name);
+                PrinterConsolePage.machine = new MachineControl(GCodeAnalyzer.buildVolumeFromSettings(get));
+                const port = await connectConsole(PrinterConsolePage.onReceive, PrinterConsolePage.onDisconnect);
+                PrinterConsolePage.setStatus("Connected on " + port);
+                PrinterConsolePage.enableControls(true);
+                $("#console_command").focus();
+            }
+        } catch(error) {
+            PrinterConsolePage.setStatus("Not connected");
+            alert(error);
+            console.error(error);
+        }
+    }
+
+    static onDisconnect(error) {
+        PrinterConsolePage.setStatus("Not connected");
+        PrinterConsolePage.enableControls(false);
+        if(error) {
+            PrinterConsolePage.write("// " + error.message);
+            console.error(error);
+        }
+    }
+
+    static onSendClicked() {
+        const input = document.getElementById("console_command");
+        const cmd   = input.value.trim();
+        if(!cmd) return;
+        try {
+            sendPrinterCommand(cmd);
+        } catch(error) {
+            alert(error);
+            console.error(error);
+            return;
+        }
+        PrinterConsolePage.history.add(cmd);
+        PrinterConsolePage.send(PrinterConsolePage.machine.typed(cmd));
+        PrinterConsolePage.write("> " + cmd);
+        // Show the reply to M105 even when temperature reports are hidden
+        PrinterConsolePage.awaitingTemperature = /^M105\b/i.test(cmd);
+        input.value = "";
+        $("#console_completions").empty();
+    }
+
+    static onClearClicked() {
+        $("#console_output").empty();
+    }
+
+    static onCommandKeyDown(e) {
+        const history = PrinterConsolePage.history;
+        switch(e.key) {
+            case "Enter":     PrinterConsolePage.onSendClicked(); break;
+            case "ArrowUp":   e.target.value = history.previous(e.target.value); break;
+            case "ArrowDown": e.target.value = history.next(); break;
+            default: return;
+        }
+        e.preventDefault();
+    }
+
+    static onCommandInput(e) {
+        const list = $("#console_completions").empty();
+        for(const {value, label} of PrinterConsolePage.history.completions(e.target.value)) {
+            list.append($("<option>").attr({value, label}));
+        }
+    }
+
+    static onReceive(line) {
+        PrinterConsolePage.machine.receive(line);
+        if(PrinterConsolePage.meshReport) {
+            PrinterConsolePage.receiveMesh(line);
+        }
+        if(PrinterConsolePage.awaitingTemperature && PrinterConsole.isTemperatureReport(line)) {
+            PrinterConsolePage.awaitingTemperature = false;
+        } else if(PrinterConsole.isNoise(line, settings.get("console_temperatures"))) {
+            return;
+        }
+        PrinterConsolePage.write(line);
+    }
+
+    // Adds a line to the output, dropping the oldest lines once there are too many
+    static write(line) {
+        const el = document.getElementById("console_output");
+        const atBottom = el.scrollHeight - el.clientHeight - el.scrollTop < 3;
+        el.appendChild(document.createTextNode(line + "\n"));
+        while(el.childNodes.length > PrinterConsolePage.maxLines) {
+            el.removeChild(el.firstChild);
+        }
+        if(atBottom) {
+            el.scrollTop = el.scrollHeight;
+        }
+    }
+
+    // Sends a list of commands, reporting any error
+    static send(commands) {
+        try {
+            for(const cmd of commands) {
+                sendPrinterCommand(cmd);
+            }
+        } catch(error) {
+            alert(error);
+            console.error(error);
+        }
+    }
+
+    static onJogClicked(axis, direction) {
+        PrinterConsolePage.send(PrinterConsolePage.machine.jog(axis, direction * parseFloat(settings.get("jog_step"))));
+    }
+
+    static onHomeClicked(axes) {
+        PrinterConsolePage.send(PrinterConsolePage.machine.home(axes));
+    }
+
+    static onMotorsOffClicked() {
+        PrinterConsolePage.send(PrinterConsolePage.machine.motorsOff());
+    }
+
+    static onExtrudeClicked(direction) {
+        PrinterConsolePage.send(PrinterConsolePage.machine.extrude(direction * (settings.get("jog_extrude") || 0)));
+    }
+
+    static onFanChanged() {
+        PrinterConsolePage.send(PrinterConsolePage.machine.fan(settings.get("jog_fan")));
+    }
+
+    static onCornerClicked(corner) {
+        try {
+            PrinterConsolePage.send(PrinterConsolePage.machine.moveToCorner(corner));
+        } catch(error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Asks the printer for the bed leveling mesh. The lines it prints are
+     * collected until an "ok" follows a mesh which can be read.
+     */
+    static onReadMeshClicked() {
+        clearTimeout(PrinterConsolePage.meshReport && PrinterConsolePage.meshReport.timer);
+        PrinterConsolePage.meshReport = {
+            lines: [],
+            timer: setTimeout(() => {
+                PrinterConsolePage.meshReport = null;
+                alert("The printer did not report a bed leveling mesh. The bed may not have been probed, or bed leveling may not be enabled in the firmware.");
+            }, PrinterConsolePage.meshTimeout * 1000)
+        };
+        PrinterConsolePage.send([settings.get("mesh_command")]);
+    }
+
+    static receiveMesh(line) {
+        const report = PrinterConsolePage.meshReport;
+        report.lines.push(line);
+        if(/^ok\b/.test(line)) {
+            const mesh = BedMesh.parse(report.lines.join("\n"), PrinterConsolePage.machine.volume);
+            if(mesh) {
+                clearTimeout(report.timer);
+                PrinterConsolePage.meshReport = null;
+                PrinterConsolePage.showBedMesh(mesh);
+            }
+        }
+    }
+
+    static showBedMesh(mesh) {
+        PrinterConsolePage.bedMesh = mesh;
+        stage.setBedMesh(mesh);
+        const stats  = mesh.getStatistics();
+        const format = value => value.toFixed(3) + " mm";
+        $("#mesh_min").attr("value",   format(stats.min));
+        $("#mesh_max").attr("value",   format(stats.max));
+        $("#mesh_range").attr("value", format(stats.range));
+        PrinterConsolePage.showScrewTurns();
+    }
+
+    static showScrewTurns() {
+        const mesh  = PrinterConsolePage.bedMesh;
+        const pitch = settings.get("mesh_screw_pitch");
+        for(const corner of PrinterConsolePage.screwCorners) {
+            $("#mesh_screw_" + corner).attr("value", "");
+        }
+        if(!mesh || !(pitch > 0)) {
+            return;
+        }
+        for(const {corner, turns} of mesh.getScrewTurns(pitch)) {
+            $("#mesh_screw_" + corner).attr("value", corner == "front_left" ? "Reference" : BedMesh.describeTurns(turns));
+        }
+    }
+
+    static onHideMeshClicked() {
+        stage.setBedMesh(null);
+    }
+
+    static setStatus(status) {
+        $("#console_status").attr("value", status);
+    }
+
+    /**
+     * Adds the temperatures reported by the printer to the chart, as
+     * {hotend, bed}, each {actual, target}
+     */
+    static showTemperatures(temps) {
+        const format = heater => heater ? heater.actual.toFixed(1) + (heater.target != null ? " / " + heater.target.toFixed(0) : "") + " \u00B0C" : "";
+        $("#console_hotend").attr("value", format(temps.hotend));
+        $("#console_bed").attr("value",    format(temps.bed));
+        const value = (heater, key) => heater ? heater[key] : null;
+        PrinterConsolePage.temperatureChart.add([
+            value(temps.hotend, "actual"), value(temps.hotend, "target"),
+            value(temps.bed,    "actual"), value(temps.bed,    "target")
+        ]);
+    }
+
+    // Sends the commands to heat the hotend and the bed
+    static setTemperatures(hotend, bed) {
+        try {
+            sendPrinterCommand("M104 S" + Math.max(0, hotend));
+            sendPrinterCommand("M140 S" + Math.max(0, bed));
+        } catch(error) {
+            alert(error);
+            console.error(error);
+            return;
+        }
+        $("#console_hotend_target").val(hotend);
+        $("#console_bed_target").val(bed);
+    }
+
+    static onSetTemperaturesClicked() {
+        PrinterConsolePage.setTemperatures(settings.get("console_hotend_target") || 0, settings.get("console_bed_target") || 0);
+    }
+
+    static onPreheatClicked() {
+        PrinterConsolePage.setTemperatures(slicer.getOption("material_print_temperature"), slicer.getOption("material_bed_temperature"));
+    }
+
+    static onCoolDownClicked() {
+        PrinterConsolePage.setTemperatures(0, 0);
+    }
+
+    /**
+     * Enables the console and machine controls while connected. They are
+     * not available during a USB print, as printing disconnects the console.
+     */
+    static enableControls(connected) {
+        settings.enable("#console_command", connected);
+        settings.enable("#console_send",    connected);
+        settings.enable("#page_console .jog-control, #jog_fan", connected);
+        $("#console_connect").text(connected ? "Disconnect" : "Connect");
+    }
+}
+
+PrinterConsolePage.history = new PrinterConsole();
+PrinterConsolePage.awaitingTemperature = false;
+PrinterConsolePage.temperatureChart = null;
+PrinterConsolePage.temperatureColors = {hotend: "firebrick", bed: "steelblue"};
+PrinterConsolePage.machine = new MachineControl(null);
+
+// The step sizes for jogging, in mm
+PrinterConsolePage.jogSteps = [0.1, 1, 10, 50];
+PrinterConsolePage.defaultJogStep = 10;
+
+PrinterConsolePage.bedMesh    = null;
+PrinterConsolePage.meshReport = null;
+
+// How long to wait for the printer to report the bed leveling mesh, in seconds
+PrinterConsolePage.meshTimeout = 30;
+
+// The corners with leveling screws, in the order shown
+PrinterConsolePage.screwCorners = ["front_left", "front_right", "back_left", "back_right"];
+
+PrinterConsolePage.cornerLabels = {
+    front_left:  "Front Left",
+    front_right: "Front Right",
+    back_left:   "Back Left",
+    back_right:  "Back Right",
+    center:      "Center"
+};
+
+// How many lines of output to keep
+PrinterConsolePage.maxLines = 1000;
+
+class PrintQueuePage {
+    static init(s) {
+        s.page(       "Print Queue",                    {id: "page_queue"});
+        s.category(   "Queue",                          {open: "open"});
+        s.html('<div id="print_queue_jobs"></div>');
+        s.button(     "Add Current Print",              {onclick: PrintQueuePage.onAddCurrentClicked});
+        s.button(     "Add All Plates",                 {className: "requires_plates", onclick: PrintQueuePage.onAddPlatesClicked});
+        s.buttonHelp( "Add the G-code shown in the preview, or slice each plate in turn and add them all");
+        s.file(       "Drag and drop G-code<br><small>(GCO, GCODE, BGCODE or GZ)</small>", {id: "queue_file", onchange: PrintQueuePage.onFileDropped, mode: 'binary', accept: ".gco,.gcode,.bgcode,.gz"});
+        s.button(     "Start Queue",                    {id: "queue_start", onclick: PrintQueuePage.onStartClicked});
+        s.buttonHelp( "Prints each job in turn over USB. Between jobs, the next print script from the profile is run and you will be asked to clear the bed.");
+
+        s.category(   "History",                        {open: "open"});
+        s.html('<div id="print_queue_history"></div>');
+        s.button(     "Clear History",                  {onclick: PrintQueuePage.onClearHistoryClicked});
+
+        PrintQueuePage.queue = new PrintQueue(JSON.parse(localStorage.getItem("print_history") || "[]"));
+        PrintQueuePage.showJobs();
+        PrintQueuePage.showHistory();
+    }
+
+    static onAddCurrentClicked() {
+        if(PrintAndPreviewPage.nothingToPrint()) return;
+        PrintQueuePage.queue.add(settings.get("gcode_filename"), PrintAndPreviewPage.gcodePath.data);
+        PrintQueuePage.showJobs();
+        settings.gotoPage("page_queue");
+    }
+
+    static async onAddPlatesClicked() {
+        try {
+            for(let i = 0; i < stage.numPlates; i++) {
+                stage.showPlate(i);
+                if(!stage.objects.some(obj => !obj.isModifier)) {
+                    continue;
+                }
+                const data = await SliceObjectsPage.slicePlate();
+                PrintQueuePage.queue.add(settings.get("gcode_filename"), GCodeEncoder.decode(data));
+            }
+        } catch(error) {
+            alert(error);
+            console.error(error);
+        } finally {
+            ProgressBar.hide();
+            PrintQueuePage.showJobs();
+        }
+    }
+
+    static onFileDropped(data, filename) {
+        if(!data) return;
+        try {
+            PrintQueuePage.queue.add(filename.replace(/\.gz$/i, ""), GCodeEncoder.decode(data));
+            PrintQueuePage.showJobs();
+        } catch(error) {
+            alert(error);
+            console.error(error);
+        } finally {
+            settings.get("queue_file").clear();
+        }
+    }
+
+    static async onStartClicked() {
+        if(!PrintQueuePage.queue.next) {
+            alert("There is nothing in the queue");
+            return;
+        }
+        PrintQueuePage.running = true;
+        PrintQueuePage.showJobs();
+        try {
+            await print_queue(PrintQueuePage.queue, PrintQueuePage.onQueueChanged);
+        } catch(err) {
+            if(!(err instanceof PrintAborted)) {
+                // Report all errors except for user initiated abort
+                console.error(err);
+                alert(err);
+            }
+        } finally {
+            PrintQueuePage.running = false;
+            PrintQueuePage.showJobs();
+        }
+    }
+
+    static onClearHistoryClicked() {
+        PrintQueuePage.queue.clearHistory();
+        PrintQueuePage.onQueueChanged();
+    }
+
+    // The history is kept in the browser's local store, so that it lasts across sessions
+    static onQueueChanged() {
+        localStorage.setItem("print_history", JSON.stringify(PrintQueuePage.queue.history));
+        PrintQueuePage.showJobs();
+        PrintQueuePage.showHistory();
+    }
+
+    static moveJob(index, offset) {
+        PrintQueuePage.queue.move(index, offset);
+        PrintQueuePage.showJobs();
+    }
+
+    static removeJob(index) {
+        PrintQueuePage.queue.remove(index);
+        PrintQueuePage.showJobs();
+    }
+
+    static showJobs() {
+        const el = $("#print_queue_jobs").empty();
+        const jobs = PrintQueuePage.queue.jobs;
+        if(!jobs.length) {
+            el.text("No prints have been queued.");
+        }
+        // The job being printed cannot be moved or removed
+        const locked = index => PrintQueuePage.running && index <= 0;
+        jobs.forEach((job, index) => {
+            $("<div>").addClass("print-queue-job").toggleClass("printing", locked(index)).append(
+                $("<label>").text((locked(index) ? "Printing: " : "") + job.name),
+                $("<button>").text("\u25B2").attr("title", "Move up")  .prop("disabled", locked(index - 1)).on("click", () => PrintQueuePage.moveJob(index, -1)),
+                $("<button>").text("\u25BC").attr("title", "Move down").prop("disabled", locked(index))    .on("click", () => PrintQueuePage.moveJob(index,  1)),
+                $("<button>").text("\u2715").attr("title", "Remove")   .prop("disabled", locked(index))    .on("click", () => PrintQueuePage.removeJob(index))
+            ).appendTo(el);
+        });
+        settings.enable("#queue_start", !PrintQueuePage.running);
+    }
+
+    static showHistory() {
+        const el = $("#print_queue_history").empty();
+        const history = PrintQueuePage.queue.history;
+        if(!history.length) {
+            el.text("No prints have finished.");
+            return;
+        }
+        const summary = PrintQueuePage.queue.summarize();
+        el.append($("<div>").text(
+            summary.completed + " completed, " + summary.failed + " failed, " + summary.stopped + " stopped, " +
+            PrintAndPreviewPage.formatTime(summary.duration) + " in total"
+        ));
+        for(const entry of history) {
+            $("<div>").addClass("print-history-entry " + entry.status).append(
+                $("<span>").text(entry.name),
+                $("<span>").text(PrintQueue.statusLabels[entry.status] + " after " + PrintAndPreviewPage.formatTime(entry.duration)),
+                $("<small>").text(new Date(entry.started).toLocaleString())
+            ).attr("title", entry.error).appendTo(el);
+        }
+    }
+}
+
+PrintQueuePage.queue   = null;
+PrintQueuePage.running = false;
+
 class UpdateFirmwarePage {
     static init(s) {
         s.page(       "Update Firmware",                {id: "page_flash_fw"});
@@ -27,11 +27,22 @@ class Stage {
             z_height:          286
         });
 
-        this.objects = [];
+        // Each plate holds a separate set of objects, which is sliced on
+        // its own. Only the objects on the current plate are in the scene.
+        this.plates = [Stage.newPlate(1)];
+        this.plateIndex = 0;
         this.placedObjects = new THREE.Object3D();
         this.dragging      = false;
-        this.packer = null;
-        this.timer = new ResettableTimeout();
+
+        // Counts the arrangements started, so that one which has been
+        // superseded does not move the objects when it finishes
+        this.arrangeGeneration = 0;
+
+        // The history holds reversible commands for undo and redo. The
+        // committed state is a snapshot of the build plate as of the most
+        // recent command, used for computing what changed.
+        this.history = new CommandHistory();
+        this.committedState = this.saveState();
 
         this.selection = new SelectionGroup();
         this.selection.onTransformChange = mode => {
@@ -41,37 +52,86 @@ class Stage {
         this.selection.onTransformEnd = () => {
             this.dropObjectToFloor(this.selection);
             this.highlightOutOfBounds(this.selection.children);
+            this.recordChange("Transform");
+        };
+        this.selection.onCutPlaneChange = () => {
+            this.render();
+            ObjectTransformPage.onCutPlaneChange();
+        };
+        this.selection.onSelectionChanged = () => {
+            ObjectTransformPage.onSelectionChanged();
+            ObjectSettingsPage.onSelectionChanged();
+            PlaceObjectsPage.onSelectionChanged();
         };
-        this.selection.onSelectionChanged = ObjectTransformPage.onSelectionChanged;
 
         this.placedObjects.add(this.selection);
         this.bedRelative.add(this.placedObjects);
 
+        const modifierItems = {};
+        for(const [role, label] of Object.entries(PrintableObject.modifierRoles)) {
+            modifierItems[role] = {name: label, items: {
+                [role + ":cube"]:     {name: "Cube"},
+                [role + ":cylinder"]: {name: "Cylinder"}
+            }};
+        }
+
         $.contextMenu({
             trigger: 'none',
             selector: 'canvas',
             callback: (evt, key, options) => this.menuAction(key),
             items: {
+                undo:        {name: "Undo", disabled: () => !this.history.canUndo},
+                redo:        {name: "Redo", disabled: () => !this.history.canRedo},
+                separator0: "-----",
                 center_some:  {name: "Center Selected Objects"},
                 delete_some: {name: "Delete Selected Objects", icon: "delete"},
                 separator1: "-----",
                 xform_some:  {name: "Edit Transform Values\u2026", icon: "edit"},
+                cut_some:    {name: "Cut Selected Objects\u2026", icon: "cut"},
+                plate_some:  {name: "Move Selected Objects to New Plate"},
                 separator2: "-----",
+                add_modifier: {name: "Add Modifier", items: modifierItems},
+                separator3: "-----",
                 select_all: {name: "Select All Objects"},
                 arrange_all: {name: "Arrange All Objects"},
                 delete_all: {name: "Clear Build Plate", icon: "delete"}
             }
         });
+
+        if(!isDesktop) {
+            // The desktop app handles these keys via accelerators in the Edit menu
+            window.addEventListener("keydown", event => {
+                if((event.ctrlKey || event.metaKey) && !Stage.isEditingText()) {
+                    switch(event.key.toLowerCase()) {
+                        case "z": this.menuAction(event.shiftKey ? "redo" : "undo"); break;
+                        case "y": this.menuAction("redo"); break;
+                        default: return;
+                    }
+                    event.preventDefault();
+                }
+            });
+        }
     }
 
     menuAction(key) {
         switch(key) {
+            case "undo"        : this.undo(); break;
+            case "redo"        : this.redo(); break;
             case "select_all"  : this.selectAll(); break;
             case "arrange_all" : this.arrangeAll(); break;
             case "delete_all"  : this.removeAll(); break;
             case "center_some" : this.centerSelectedObjects(); break;
             case "delete_some" : this.removeSelectedObjects(); break;
-            case "xform_some"  : ObjectTransformPage.onToolChanged("move");
+            case "xform_some"  : ObjectTransformPage.onToolChanged("move"); break;
+            case "cut_some"    : this.onToolChanged("cut"); break;
+            case "plate_some"  : this.moveSelectedObjectsToNewPlate(); break;
+            default: {
+                // Items in the "Add Modifier" submenu are of the form "role:shape"
+                const [role, shape] = key.split(":");
+                if(PrintableObject.modifierRoles.hasOwnProperty(role)) {
+                    this.addModifier(role, shape);
+                }
+            }
         }
     }
 
@@ -88,8 +148,13 @@ class Stage {
         this.bedRelative = this.printerRepresentation.bedRelative;
         // Print volume used for checking whether the print is in bounds.
         this.printVolume = new THREE.Box3();
-        this.printVolume.min.set(0, 0, 0);
-        this.printVolume.max.set(printer.x_width, printer.y_depth, printer.z_height);
+        if(printer.origin_at_center) {
+            this.printVolume.min.set(-printer.x_width/2, -printer.y_depth/2, 0);
+            this.printVolume.max.set( printer.x_width/2,  printer.y_depth/2, printer.z_height);
+        } else {
+            this.printVolume.min.set(0, 0, 0);
+            this.printVolume.max.set(printer.x_width, printer.y_depth, printer.z_height);
+        }
         this.printer = printer;
     }
 
@@ -98,17 +163,6 @@ class Stage {
         return inv.getInverse(this.bedRelative.matrixWorld);
     }
 
-    /**
-     * Returns the bounding sphere of an object in bed coordinates
-     */
-    getObjectBoundingSphere(object, bedMatrixWorldInverse) {
-        object.updateMatrixWorld();
-        var sphere = object.geometry.boundingSphere.clone();
-        sphere.applyMatrix4(object.matrixWorld);
-        sphere.applyMatrix4(bedMatrixWorldInverse ? bedMatrixWorldInverse : this.getBedMatrixWorldInverse());
-        return sphere;
-    }
-
     /**
      * Positions an object in the center of the bed.
      */
@@ -142,92 +196,147 @@ class Stage {
     }
 
     /**
-     * Arrange objects on the platform such that there is no overlap.
-     * Currently this uses the object's bounding sphere to determine
-     * a circular footprint of the the object on the print bed.
-     * However, this could be improved for tall and skinny objects
-     * by only computing the bounding circle in X and Y.
+     * Arrange objects on the platform such that there is no overlap. The
+     * footprint of each object is the convex hull of its outline in X and
+     * Y, so tall or long objects take up no more room than they need.
+     * Objects that do not fit are placed alongside the print bed.
      *
-     *   objectsToArrange - Restrict arrangement to certain objects.
+     *   objectsToArrange - Restrict arrangement to certain objects. The
+     *                      first one is moved to the center of the bed.
      *
+     * The arrangement is worked out in a web worker, so this returns a
+     * promise which resolves once the objects have been moved. Starting
+     * another arrangement, or restoring a snapshot as undo does, stops
+     * this one so that its result is dropped.
      */
-    arrangeObjectsOnPlatform(objectsToArrange) {
-        var circles = [];
-        var packingFinished = () => {
-            if(this.packer) {
-                var p = this.packer;
-                this.packer = null;
-                p.destroy();
-            }
-            this.highlightOutOfBounds(this.objects);
-            this.render();
-        };
-
-        if(this.packer) packingFinished();
-
+    async arrangeObjectsOnPlatform(objectsToArrange) {
+        this.stopArranging();
+        const generation = this.arrangeGeneration;
         this.selectNone();
 
-        // Create an array of circles for the packing algorithm
+        // Modifiers stay where the user placed them. The user may switch
+        // plates while the arrangement is worked out, so the plate which
+        // the objects are on is kept.
+        const source  = this.plates[this.plateIndex];
+        const objects = this.objects.filter(obj => !obj.isModifier);
+        const pinned  = objectsToArrange && objectsToArrange.find(obj => !obj.isModifier);
+        if(pinned) {
+            this.centerObjectOnPlatform(pinned);
+        }
 
-        const inv = this.getBedMatrixWorldInverse();
-        for(const [index, object] of this.objects.entries()) {
-            const isAbsoluteCenter =  objectsToArrange && objectsToArrange[0] == object;
-            const isPulledToCenter = !objectsToArrange || objectsToArrange.includes(object);
-            if(isAbsoluteCenter) {
-                // The first object in the selection is pulled to the exact center of the bed.
-                this.centerObjectOnPlatform(object);
-            }
-            else {
-                // Add a small perturbation to the objects position to
-                // allow the packing algorithm to converge.
-                object.position.x += Math.random() - 0.5;
-                object.position.y += Math.random() - 0.5;
-            }
-            const sphere = this.getObjectBoundingSphere(object, inv);
-            const circle = {
-                id:               'c' + index,
-                radius:           sphere.radius,
-                position:         {x: sphere.center.x, y: sphere.center.y},
-                isPulledToCenter: isPulledToCenter,
-                isPinned:         isAbsoluteCenter
-            };
-            if(this.printer.origin_at_center) {
-                // The circle packing algorithm works only with positive coordinates,
-                // so shift the coordinate system.
-                circle.position.x += this.printer.x_width/2;
-                circle.position.y += this.printer.y_depth/2;
+        // Objects which are not being arranged remain as obstacles
+        const isFixed = obj => obj == pinned || (objectsToArrange && !objectsToArrange.includes(obj));
+        const options = PlaceObjectsPage.arrangeOptions;
+        let unplaced = [];
+        if(objects.length) {
+            ProgressBar.message("Arranging objects");
+            try {
+                unplaced = await this.nestObjects(objects, isFixed, options);
+
+                if(options.overflow) {
+                    // Start new plates for whatever did not fit, until all that
+                    // remains are objects that do not fit even on an empty plate
+                    while(unplaced.length) {
+                        const remaining = await this.nestObjects(unplaced, obj => false, options);
+                        if(remaining.length == unplaced.length) {
+                            break;
+                        }
+                        const plate = this.createPlate();
+                        this.moveObjectsToPlate(unplaced.filter(obj => !remaining.includes(obj)), plate, source);
+                        unplaced = remaining;
+                    }
+                }
+            } catch(error) {
+                // A stopped arrangement leaves the objects as they are
+                if(generation == this.arrangeGeneration) {
+                    ProgressBar.hide();
+                    alert(error);
+                    console.error(error);
+                }
+                return;
             }
-            circles.push(circle);
+            ProgressBar.hide();
         }
+        this.placeAlongsideBed(unplaced, options.spacing);
 
-        // Function for repositioning the objects on the bed
+        this.highlightOutOfBounds(source.objects);
+        this.recordChange("Arrange");
+        this.render();
+        if(unplaced.length) {
+            alert(unplaced.length == 1 ?
+                "One object does not fit on the print bed and was placed alongside it." :
+                unplaced.length + " objects do not fit on the print bed and were placed alongside it.");
+        }
+    }
 
-        var packingUpdate = (updatedCircles) => {
-            for (let id in updatedCircles) {
-                const index = parseInt(id.substring(1));
-                const object = this.objects[index];
-                const circle = updatedCircles[id];
-                object.position.x += circle.delta.x;
-                object.position.y += circle.delta.y;
+    /**
+     * Stops an arrangement that is still in progress, so that its result
+     * is never applied
+     */
+    stopArranging() {
+        this.arrangeGeneration++;
+        if(PolygonNester.stopWorker()) {
+            ProgressBar.hide();
+        }
+    }
+
+    /**
+     * Moves objects so that they do not overlap, using "PolygonNester".
+     * Returns a promise for the objects that could not be placed on the
+     * print bed.
+     *
+     *   objects - The objects to arrange
+     *   isFixed - Function which returns true for objects that must not move
+     *   options - The spacing and rotation options for the nester
+     */
+    async nestObjects(objects, isFixed, options) {
+        const parts = objects.map(object => {
+            const polygon = PrintableObject.findFootprint(object, this.bedRelative);
+            // Objects without a footprint cannot be arranged and are left where they are
+            const fixed = isFixed(object) || !polygon.length;
+            if(!fixed) {
+                polygon.forEach(p => {p.x -= object.position.x; p.y -= object.position.y;});
             }
-            this.render();
+            return {polygon, fixed};
+        });
+        const bed = {
+            min:      this.printVolume.min,
+            max:      this.printVolume.max,
+            elliptic: this.printer.circular
         };
+        const generation = this.arrangeGeneration;
+        const placements = await PolygonNester.arrangeInWorker(parts, bed, options);
+        if(generation != this.arrangeGeneration) {
+            throw Error("The arrangement was stopped");
+        }
 
-        // Run the packing algorithm
-
-        this.packer = new CirclePacker({
-            target:               {x:     this.printer.x_width/2, y:      this.printer.y_depth/2},
-            bounds:               {width: this.printer.x_width,   height: this.printer.y_depth  },
-            circles,
-            continuousMode:       true,
-            collisionPasses:       5,
-            centeringPasses:       3,
-            onMove:               packingUpdate,
-            onMoveEnd:            packingFinished
+        const zAxis = new THREE.Vector3(0, 0, 1);
+        const unplaced = [];
+        placements.forEach((placement, i) => {
+            const object = objects[i];
+            if(placement) {
+                object.position.x = placement.x;
+                object.position.y = placement.y;
+                object.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(zAxis, placement.rotation));
+            } else if(!parts[i].fixed) {
+                unplaced.push(object);
+            }
         });
-        this.packer.update();
-        // Packing might run continuously, to abort after a few seconds.
-        this.timer.start(packingFinished, 3000);
+        return unplaced;
+    }
+
+    /**
+     * Lines up objects in a row to the right of the print bed
+     */
+    placeAlongsideBed(objects, spacing) {
+        let x = this.printVolume.max.x + spacing;
+        const y = (this.printVolume.min.y + this.printVolume.max.y) / 2;
+        for(const object of objects) {
+            const box = PrintableObject.findBoundingBox(object, this.bedRelative);
+            object.position.x += x - box.min.x;
+            object.position.y += y - (box.min.y + box.max.y) / 2;
+            x += box.max.x - box.min.x + spacing;
+        }
     }
 
     /**
@@ -285,6 +394,10 @@ class Stage {
      * Drops an object so it touches the print platform
      */
     dropObjectToFloor(obj) {
+        if(PrintableObject.containsModifiers(obj)) {
+            // Modifiers are allowed to float above the print platform
+            return;
+        }
         const lowestPoint = PrintableObject.findLowestPoint(obj, this.bedRelative);
         if(lowestPoint) {
             obj.position.z -= lowestPoint.z;
@@ -305,7 +418,7 @@ class Stage {
     /**
      * Lays an object flat on the print bed
      */
-    layObjectFlat(obj) {
+    layObjectFlat(obj, recordChange = true) {
         this.selectNone();
 
         const helper = new FaceRotationHelper(obj);
@@ -329,6 +442,9 @@ class Stage {
 
         // Step 5: Bring the object down to the print plate
         this.dropObjectToFloor(obj);
+        if(recordChange) {
+            this.recordChange("Lay Flat");
+        }
         this.render();
     }
 
@@ -347,33 +463,298 @@ class Stage {
             var worldToPrinterRepresentation = new THREE.Matrix4();
             transform.premultiply(worldToPrinterRepresentation.getInverse(this.bedRelative.matrixWorld));
             geometry.applyMatrix4(transform);
+            if(transform.determinant() < 0) {
+                // Mirrored objects would otherwise be inside out
+                GeometryAlgorithms.flipWinding(geometry);
+            }
             return geometry;
         });
     }
 
-    addGeometry(geometry) {
-        var obj = new PrintableObject(geometry);
-        this.addObjects([obj]);
-        this.scaleObjectToFit(obj);
-        this.dropObjectToFloor(obj);
-        this.centerObjectOnPlatform(obj);
+    /**
+     * Renders the objects on the plate, as seen from the front and above,
+     * for the thumbnails embedded in the G-code. Sizes is a list of
+     * {width, height} and a canvas is returned for each one.
+     */
+    renderThumbnails(sizes) {
+        const scene  = new THREE.Scene();
+        const bounds = new THREE.Box3();
+        const toBed  = this.getBedMatrixWorldInverse();
+        for(const obj of this.objects.filter(obj => !obj.isModifier)) {
+            // The meshes share the geometry of the objects, placed relative to the bed
+            const mesh = new THREE.Mesh(obj.geometry, PrintableObject.normalMaterial);
+            mesh.matrixAutoUpdate = false;
+            mesh.matrix.multiplyMatrices(toBed, obj.matrixWorld);
+            scene.add(mesh);
+            bounds.expandByObject(mesh);
+        }
+        if(bounds.isEmpty()) {
+            return [];
+        }
+        const sphere = bounds.getBoundingSphere(new THREE.Sphere());
+        const camera = new THREE.PerspectiveCamera(30, 1, 1, 3000);
+        camera.up.set(0, 0, 1);
+        camera.add(new THREE.DirectionalLight(0xffffff, 0.9));
+        scene.add(new THREE.AmbientLight(0x404040, 0.9));
+        scene.add(camera);
+
+        return sizes.map(({width, height}) => {
+            // Back away until the bounding sphere fits across the narrower side
+            const fov = THREE.MathUtils.degToRad(camera.fov) / 2;
+            const halfAngle = width < height ? Math.atan(Math.tan(fov) * width / height) : fov;
+            const distance  = sphere.radius / Math.sin(halfAngle);
+            camera.aspect = width / height;
+            camera.near   = Math.max(distance - sphere.radius * 2, 1);
+            camera.far    = distance + sphere.radius * 2;
+            camera.position.set(1, -2, 1.5).setLength(distance).add(sphere.center);
+            camera.lookAt(sphere.center);
+            camera.updateProjectionMatrix();
+            return renderLoop.renderOffscreen(scene, camera, width, height);
+        });
+    }
+
+    /**
+     * Returns the per-object slicer settings, in the same order
+     * as the geometries returned by "getAllGeometry()"
+     */
+    getAllMeshSettings() {
+        return this.objects.map(obj => obj.meshSettings);
+    }
+
+    /**
+     * Places one or more copies of a geometry on the print bed
+     */
+    addGeometry(geometry, howMany = 1) {
+        const objs = [];
+        for(let i = 0; i < howMany; i++) {
+            objs.push(new PrintableObject(geometry));
+        }
+        // The change is recorded once the arrangement completes
+        this.addObjects(objs, false);
+        objs.forEach(obj => {
+            this.scaleObjectToFit(obj);
+            this.dropObjectToFloor(obj);
+            this.centerObjectOnPlatform(obj);
+        });
         this.arrangeObjectsOnPlatform(this.objects);
         this.render();
     }
 
+    /**
+     * Adds a modifier mesh. The modifier is centered on the selected objects,
+     * or on the print bed if nothing is selected.
+     *
+     *   role  - One of the keys in "PrintableObject.modifierRoles"
+     *   shape - Either "cube" or "cylinder"
+     */
+    addModifier(role, shape) {
+        const size = 20;
+        const geometry = shape == "cylinder" ?
+            new THREE.CylinderBufferGeometry(size/2, size/2, size, 32).rotateX(Math.PI/2) :
+            new THREE.BoxBufferGeometry(size, size, size);
+        const obj = new PrintableObject(geometry, role);
+        if(this.selection.count) {
+            const box = new THREE.Box3().setFromObject(this.selection);
+            this.placedObjects.worldToLocal(box.getCenter(obj.position));
+        } else {
+            obj.position.set(
+                this.printer.origin_at_center ? 0 : this.printer.x_width/2,
+                this.printer.origin_at_center ? 0 : this.printer.y_depth/2,
+                size/2
+            );
+        }
+        this.addObjects([obj]);
+        this.selection.setSelection(obj);
+        this.render();
+    }
+
+    /**
+     * Cuts the selected objects in two along the cut plane. The part below
+     * the plane stays in place, while the part above it is placed alongside
+     * with the cut face down on the print bed.
+     *
+     *   options - Passed on to "MeshCutter.cut()"
+     */
+    cutSelectedObjects(options) {
+        const planeMatrix = this.selection.cutPlaneMatrix;
+        const toPlane     = new THREE.Matrix4().getInverse(planeMatrix);
+        const removed = [], added = [];
+        for(const obj of this.selection.children.filter(obj => !obj.isModifier)) {
+            const matrix = this.getPlacedMatrix(obj);
+            const geometry = obj.geometry instanceof THREE.BufferGeometry ?
+                obj.geometry.clone() : new THREE.BufferGeometry().fromGeometry(obj.geometry);
+            geometry.applyMatrix4(matrix);
+            if(matrix.determinant() < 0) {
+                GeometryAlgorithms.flipWinding(geometry);
+            }
+            geometry.applyMatrix4(toPlane);
+            const {below, above} = MeshCutter.cut(geometry, options);
+            if(!below || !above) {
+                // The plane does not pass through this object
+                continue;
+            }
+            below.applyMatrix4(planeMatrix);
+            const lower = new PrintableObject(below);
+            const upper = new PrintableObject(above);
+            const lowerBox = lower.geometry.boundingBox, upperBox = upper.geometry.boundingBox;
+            upper.position.x = lowerBox.max.x + 5 - upperBox.min.x;
+            upper.position.y = (lowerBox.min.y + lowerBox.max.y - upperBox.min.y - upperBox.max.y) / 2;
+            Object.assign(lower.overrides, obj.overrides);
+            Object.assign(upper.overrides, obj.overrides);
+            removed.push(obj);
+            added.push(lower, upper);
+        }
+        if(added.length == 0) {
+            alert("The cut plane does not pass through any of the selected objects.");
+            return;
+        }
+        this.selection.setTransformMode("none");
+        this.removeObjects(removed, false);
+        this.addObjects(added, false);
+        added.forEach(obj => this.dropObjectToFloor(obj));
+        this.highlightOutOfBounds(added);
+        this.recordChange("Cut");
+        this.selection.setSelection(added);
+        this.render();
+    }
+
     get numObjects() {
         return this.objects.length;
     }
 
-    addObjects(objs) {
+    /**
+     * The objects on the current plate
+     */
+    get objects() {
+        return this.plates[this.plateIndex].objects;
+    }
+
+    // Build plates
+
+    static newPlate(number) {
+        return {name: "Plate " + number, objects: []};
+    }
+
+    get numPlates() {
+        return this.plates.length;
+    }
+
+    get plateNames() {
+        return this.plates.map(plate => plate.name);
+    }
+
+    get plateName() {
+        return this.plates[this.plateIndex].name;
+    }
+
+    /**
+     * Adds an empty plate without showing it. Returns its index.
+     */
+    createPlate() {
+        this.plates.push(Stage.newPlate(this.plates.length + 1));
+        PlaceObjectsPage.onPlatesChanged();
+        return this.plates.length - 1;
+    }
+
+    /**
+     * Adds an empty plate and shows it
+     */
+    addPlate() {
+        this.showPlate(this.createPlate());
+        this.recordChange("Add Plate");
+    }
+
+    /**
+     * Deletes a plate along with its objects
+     */
+    removePlate(index) {
+        if(this.plates.length < 2) {
+            return;
+        }
+        this.selectNone();
+        if(index == this.plateIndex) {
+            this.objects.forEach(obj => this.placedObjects.remove(obj));
+            this.plates.splice(index, 1);
+            this.plateIndex = Math.min(index, this.plates.length - 1);
+            this.objects.forEach(obj => this.placedObjects.add(obj));
+            this.onPlateShown();
+        } else {
+            this.plates.splice(index, 1);
+            if(index < this.plateIndex) {
+                this.plateIndex--;
+            }
+            PlaceObjectsPage.onPlatesChanged();
+        }
+        this.recordChange("Delete Plate");
+        this.render();
+    }
+
+    renamePlate(index, name) {
+        this.plates[index].name = name;
+        PlaceObjectsPage.onPlatesChanged();
+        this.recordChange("Rename Plate");
+    }
+
+    /**
+     * Makes a plate the current one, showing its objects in the scene
+     */
+    showPlate(index) {
+        if(index == this.plateIndex) {
+            return;
+        }
+        this.selectNone();
+        this.objects.forEach(obj => this.placedObjects.remove(obj));
+        this.plateIndex = index;
+        this.objects.forEach(obj => this.placedObjects.add(obj));
+        this.onPlateShown();
+        this.render();
+    }
+
+    onPlateShown() {
+        // The toolpath belongs to the plate that was sliced
+        this.clearGcodePath();
+        PlaceObjectsPage.onObjectCountChanged(this.objects.length);
+        PlaceObjectsPage.onPlatesChanged();
+        this.highlightOutOfBounds(this.objects);
+    }
+
+    /**
+     * Moves objects onto another plate, keeping their positions
+     *
+     *   from - Optional; the plate the objects are on, if not the current one
+     */
+    moveObjectsToPlate(objs, index, from = this.plates[this.plateIndex]) {
+        if(from == this.plates[this.plateIndex]) {
+            this.removeObjects(objs, false);
+        } else {
+            from.objects = from.objects.filter(obj => !objs.includes(obj));
+        }
+        this.plates[index].objects.push(...objs);
+    }
+
+    moveSelectedObjectsToNewPlate() {
+        const objs = this.selection.children.slice();
+        if(objs.length == 0) {
+            return;
+        }
+        const index = this.createPlate();
+        this.moveObjectsToPlate(objs, index);
+        this.showPlate(index);
+        this.recordChange("Move to Plate");
+    }
+
+    addObjects(objs, recordChange = true) {
         objs.forEach(obj => {
             this.objects.push(obj);
             this.placedObjects.add(obj);
         });
         PlaceObjectsPage.onObjectCountChanged(this.objects.length);
+        if(recordChange) {
+            this.recordChange("Add Objects");
+        }
     }
 
-    removeObjects(objs) {
+    removeObjects(objs, recordChange = true) {
         this.selection.removeFromSelection(objs);
         objs.forEach(obj => {
             this.placedObjects.remove(obj);
@@ -383,6 +764,9 @@ class Stage {
             }
         });
         PlaceObjectsPage.onObjectCountChanged(this.objects.length);
+        if(recordChange) {
+            this.recordChange("Delete Objects");
+        }
     }
 
     removeSelectedObjects() {
@@ -400,6 +784,7 @@ class Stage {
             let objectToCenter = this.selection.children[0];
             this.centerObjectOnPlatform(objectToCenter);
             this.highlightOutOfBounds([objectToCenter]);
+            this.recordChange("Center");
         }
         this.render();
     }
@@ -422,6 +807,164 @@ class Stage {
         this.selection.selectNone();
     }
 
+    // Undo and redo
+
+    /**
+     * Returns a snapshot of the objects on each of the build plates along
+     * with their transforms relative to the build plate.
+     */
+    saveState() {
+        return {
+            plateIndex: this.plateIndex,
+            plates: this.plates.map(plate => ({
+                name:    plate.name,
+                objects: plate.objects.map(obj => ({object: obj, matrix: this.getPlacedMatrix(obj)}))
+            }))
+        };
+    }
+
+    /**
+     * Returns the transform of an object relative to the build plate,
+     * regardless of whether it is part of the selection.
+     */
+    getPlacedMatrix(obj) {
+        const matrix = new THREE.Matrix4();
+        for(let o = obj; o && o !== this.placedObjects; o = o.parent) {
+            o.updateMatrix();
+            matrix.premultiply(o.matrix);
+        }
+        return matrix;
+    }
+
+    /**
+     * Restores the build plates to a snapshot made by "saveState()"
+     *
+     *   state      - The snapshot to restore
+     *   plateIndex - Optional; the plate to show, if not the one that was
+     *                current when the snapshot was made
+     */
+    restoreState(state, plateIndex = state.plateIndex) {
+        this.stopArranging();
+        const previousIndex = this.plateIndex;
+        this.selectNone();
+        this.objects.forEach(obj => this.placedObjects.remove(obj));
+        this.plates = state.plates.map(plate => ({
+            name:    plate.name,
+            objects: plate.objects.map(({object, matrix}) => {
+                matrix.decompose(object.position, object.quaternion, object.scale);
+                return object;
+            })
+        }));
+        this.plateIndex = Math.min(plateIndex, this.plates.length - 1);
+        this.objects.forEach(obj => this.placedObjects.add(obj));
+        this.committedState = state;
+        if(this.plateIndex != previousIndex) {
+            this.clearGcodePath();
+        }
+        PlaceObjectsPage.onObjectCountChanged(this.objects.length);
+        PlaceObjectsPage.onPlatesChanged();
+        this.highlightOutOfBounds(this.objects);
+        this.render();
+    }
+
+    static statesEqual(a, b) {
+        const epsilon = 1e-6;
+        return a.plates.length == b.plates.length && a.plates.every((plate, i) =>
+            plate.name == b.plates[i].name &&
+            plate.objects.length == b.plates[i].objects.length &&
+            plate.objects.every((entry, j) =>
+                entry.object === b.plates[i].objects[j].object &&
+                entry.matrix.elements.every((e, k) => Math.abs(e - b.plates[i].objects[j].matrix.elements[k]) < epsilon)
+            )
+        );
+    }
+
+    /**
+     * Adds a command to the history for whatever changed on the build
+     * plate since the last recorded change.
+     *
+     *   label - A description of the change for display purposes.
+     *
+     */
+    recordChange(label) {
+        const before = this.committedState;
+        const after  = this.saveState();
+        if(Stage.statesEqual(before, after)) {
+            return;
+        }
+        this.committedState = after;
+        // Show the plate on which the change was made when undoing it
+        this.history.push({
+            label,
+            undo: () => this.restoreState(before, after.plateIndex),
+            redo: () => this.restoreState(after)
+        });
+    }
+
+    /**
+     * Changes the slicer setting overrides of some objects, adding a
+     * command to the history so that the change can be undone. The
+     * overrides are not part of the snapshots made by "saveState()".
+     *
+     *   objects - The objects to change
+     *   change  - A function which changes the overrides of an object
+     *   label   - A description of the change for display purposes.
+     */
+    changeOverrides(objects, change, label) {
+        const copy   = () => objects.map(obj => ({...obj.overrides}));
+        const before = copy();
+        objects.forEach(change);
+        const after  = copy();
+        if(JSON.stringify(before) == JSON.stringify(after)) {
+            return;
+        }
+        const restore = values => {
+            objects.forEach((obj, i) => {
+                Object.keys(obj.overrides).forEach(key => delete obj.overrides[key]);
+                Object.assign(obj.overrides, values[i]);
+            });
+            ObjectSettingsPage.onSelectionChanged();
+        };
+        this.history.push({
+            label,
+            undo: () => restore(before),
+            redo: () => restore(after)
+        });
+    }
+
+    /**
+     * Discards all undo history, such as when a project is opened.
+     */
+    clearHistory() {
+        this.history.clear();
+        this.committedState = this.saveState();
+    }
+
+    undo() {
+        if(Stage.isEditingText()) {
+            document.execCommand("undo");
+        } else {
+            this.history.undo();
+        }
+    }
+
+    redo() {
+        if(Stage.isEditingText()) {
+            document.execCommand("redo");
+        } else {
+            this.history.redo();
+        }
+    }
+
+    /**
+     * Returns true if the keyboard focus is on a text field, in which
+     * case undo and redo should apply to the text rather than the plate.
+     */
+    static isEditingText() {
+        const el = document.activeElement;
+        return el && (el.tagName == "TEXTAREA" || (el.tagName == "INPUT" && el.type != "checkbox" && el.type != "radio"));
+    }
+
     clearGcodePath() {
         if(this.toolpath) {
             this.showGcodePath(false);
@@ -432,10 +975,10 @@ class Stage {
         this.render();
     }
 
-    setGcodePath(gcode_path) {
+    setGcodePath(gcode_path, options) {
         this.clearGcodePath();
         if(gcode_path) {
-            this.toolpath = new Toolpath(gcode_path);
+            this.toolpath = new Toolpath(gcode_path, options);
             this.toolpath.visible = false;
             this.bedRelative.add(this.toolpath);
         }
@@ -460,6 +1003,29 @@ class Stage {
         }
     }
 
+    setGcodeColorMode(mode) {
+        if(this.toolpath) {
+            this.toolpath.setColorMode(mode);
+            this.render();
+        } else {
+            Toolpath.colorMode = mode;
+        }
+    }
+
+    setGcodeRenderMode(mode) {
+        if(this.toolpath) {
+            this.toolpath.setRenderMode(mode);
+            this.render();
+        } else {
+            Toolpath.renderMode = mode;
+        }
+    }
+
+    // Returns a description of the toolpath colors, or null if there is no toolpath
+    getGcodeLegend() {
+        return this.toolpath ? this.toolpath.getLegend() : null;
+    }
+
     get isToolpathVisible() {
         return this.toolpath && this.toolpath.visible;
     }
@@ -485,12 +1051,32 @@ class Stage {
         return this.toolpath ? this.toolpath.nLayers : 0;
     }
 
+    // Shows a BedMesh over the bed, or removes it if null
+    setBedMesh(mesh) {
+        if(this.bedMesh) {
+            this.bedRelative.remove(this.bedMesh);
+            this.bedMesh.dispose();
+            this.bedMesh = null;
+        }
+        if(mesh) {
+            this.bedMesh = new BedMeshSurface(mesh);
+            this.bedRelative.add(this.bedMesh);
+        }
+        this.render();
+    }
+
     // Event handlers
 
     onToolChanged(tool) {
-        if(this.selection.count) {
+        if(tool == "undo") {
+            this.undo();
+        }
+        else if(this.selection.count) {
             if(tool == "layflat") {
                 this.onLayFlatClicked();
+            } else if(tool == "settings") {
+                this.selection.setTransformMode("none");
+                ObjectSettingsPage.onToolChanged();
             } else {
                 this.selection.setTransformMode(tool);
                 ObjectTransformPage.onToolChanged(tool);
@@ -504,6 +1090,7 @@ class Stage {
             this.dropObjectToFloor(this.selection);
         }
         this.highlightOutOfBounds(this.selection.children);
+        this.recordChange("Transform");
         this.render();
     }
 
@@ -556,7 +1143,7 @@ class Stage {
                 // Disregard clicks on the control object
                 continue;
             }
-            if (obj.type === "LineSegments") {
+            if (obj.parent instanceof Toolpath) {
                 // Disregard clicks on the toolpath
                 continue;
             }
@@ -575,6 +1162,7 @@ class Stage {
     }
 
     onLayFlatClicked() {
-        this.selection.children.forEach(obj => this.layObjectFlat(obj));
+        this.selection.children.slice().forEach(obj => this.layObjectFlat(obj, false));
+        this.recordChange("Lay Flat");
     }
 }
\ No newline at end of file
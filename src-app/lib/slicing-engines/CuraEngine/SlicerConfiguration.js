@@ -214,11 +214,34 @@ class SlicerConfiguration {
         }
     }
 
-    getCommandLineArguments(filenames) {
+    /**
+     * Returns the arguments for running CuraEngine from the command line.
+     *
+     *   filenames    - Array of meshes to load.
+     *   meshSettings - Optional array of per-mesh settings, one for each
+     *                  entry in filenames. These are written out after the
+     *                  "-l" argument, which causes CuraEngine to apply them
+     *                  to that particular mesh.
+     */
+    getCommandLineArguments(filenames, meshSettings) {
         var arg_list = [];
         arg_list.push("slice");
         arg_list.push("-v");
-        for(const [key, value] of Object.entries(this.values)) {
+        this.addSettingArguments(arg_list, this.values);
+        filenames.forEach((f, i) => {
+            arg_list.push("-l");
+            arg_list.push(f);
+            if(meshSettings && meshSettings[i]) {
+                this.addSettingArguments(arg_list, meshSettings[i]);
+            }
+        });
+        arg_list.push("-o");
+        arg_list.push("output.gcode");
+        return arg_list;
+    }
+
+    addSettingArguments(arg_list, values) {
+        for(const [key, value] of Object.entries(values)) {
             arg_list.push("-s");
             var str_value;
             switch(typeof value) {
@@ -240,13 +263,6 @@ class SlicerConfiguration {
             }
             arg_list.push(key + '=' + str_value);
         }
-        for(const f of filenames) {
-            arg_list.push("-l");
-            arg_list.push(f);
-        }
-        arg_list.push("-o");
-        arg_list.push("output.gcode");
-        return arg_list;
     }
 
     /**
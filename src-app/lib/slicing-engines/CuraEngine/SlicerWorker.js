@@ -34,6 +34,10 @@ var sliceInfo = {
 
 self.importScripts('../../three/three.min.js');
 self.importScripts('../../util/geometry/GeometrySerialize.js');
+self.importScripts('../../util/gcode/GCodeParser.js');
+self.importScripts('../../util/gcode/PrintTimeEstimator.js');
+self.importScripts('../../util/gcode/GCodeAnalyzer.js');
+self.importScripts('../../util/gcode/PostProcessor.js');
 self.importScripts('CuraEngine.js');
 
 if(typeof TextEncoder === "undefined") {
@@ -75,14 +79,18 @@ function captureGcodeHeader(str) {
 }
 
 /**
- * Preform postprocessing on generated G-code
+ * Preform postprocessing on generated G-code, followed by any steps
+ * the user has chosen, then embed the thumbnails. The print progress
+ * is added last, so that it allows for the speed changes and pauses
+ * which the user's steps insert.
  */
-function postProcessGcode(gcode, slicer_args) {
+function postProcessGcode(gcode, slicer_args, steps, thumbnails) {
     gcode = replaceGcodeHeader(gcode);
+    gcode = PostProcessor.run(gcode, steps, getBuildVolume(slicer_args));
     if(slicer_args.includes("machine_gcode_flavor=RepRap (Marlin/Sprinter)")) {
-        gcode = addPrintProgress(gcode);
+        gcode = addPrintProgress(gcode, slicer_args);
     }
-    return gcode;
+    return PostProcessor.addThumbnails(gcode, thumbnails);
 }
 
 /**
@@ -98,17 +106,44 @@ function replaceGcodeHeader(gcode) {
 }
 
 /**
- * Add M73 (Set Print Progress) to GCODE file
+ * Add M73 (Set Print Progress) to GCODE file at the start of each layer,
+ * with the percentage done and the minutes remaining. These come from our
+ * own estimate of the print time, which models the printer's planner more
+ * closely than Cura does.
  */
-function addPrintProgress(gcode) {
-    if(m = gcode.match(/^;TIME:(\d+)$/m)) {
-        const total_time = m[1];
-        gcode = gcode.replace(/^;TIME_ELAPSED:(\d+).*$/gm,
-            (match, time_elapsed) => match + "\nM73 P" + Math.ceil((time_elapsed+1)/(total_time+1)*100));
-    } else {
-        console.warn("Warning: Unable to find time elapsed");
+function addPrintProgress(gcode, slicer_args) {
+    const limits   = PrintTimeEstimator.limitsFromSettings(name => getSetting(slicer_args, name));
+    const estimate = new PrintTimeEstimator(limits).estimate(new GCodeParser(gcode));
+    if(!estimate.total || !estimate.layers.length) {
+        console.warn("Warning: Unable to estimate print time");
+        return gcode;
     }
-    return gcode;
+    const lines = gcode.split("\n");
+    // Work back from the end, so the line numbers of earlier layers stay the same
+    for(const layer of estimate.layers.slice().reverse()) {
+        const percent   = Math.floor(layer.start / estimate.total * 100);
+        const remaining = Math.ceil((estimate.total - layer.start) / 60);
+        lines.splice(layer.line - 1, 0, "M73 P" + percent + " R" + remaining);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Returns the value of a setting from the slicer's command line arguments
+ */
+function getSetting(slicer_args, name) {
+    const arg = slicer_args.find(arg => arg.startsWith(name + "="));
+    return arg ? arg.substring(name.length + 1) : undefined;
+}
+
+/**
+ * Returns the build volume from the slicer's command line arguments
+ */
+function getBuildVolume(slicer_args) {
+    return GCodeAnalyzer.buildVolumeFromSettings(name => {
+        const value = getSetting(slicer_args, name);
+        return name == "machine_center_is_zero" ? value == "true" : value;
+    });
 }
 
 function captureProgress(str) {
@@ -205,17 +240,23 @@ function loadFromUrl(url, filename) {
  * The following routine reads the file "output.gcode" from the Emscripten FS
  * and posts it via a message
  */
-function get_file(slicer_args) {
+function get_file(slicer_args, steps, thumbnails) {
     var gcode;
     try {
         gcode = FS.readFile('output.gcode', {encoding: 'utf8'});
     } catch (err) {
         console.log("Error reading output gcode:", err.message);
+        self.postMessage({'cmd': 'error', 'str': "No G-code was produced"});
         return;
     }
 
     // Apply post-processing to file
-    gcode = postProcessGcode(gcode, slicer_args);
+    try {
+        gcode = postProcessGcode(gcode, slicer_args, steps, thumbnails);
+    } catch (err) {
+        self.postMessage({'cmd': 'error', 'str': "Post-processing failed: " + err.message});
+        return;
+    }
 
     const enc = new TextEncoder();
     var payload = {
@@ -261,7 +302,7 @@ function receiveMessage(e) {
         case 'loadFromUrl':  loadFromUrl(data.url, data.filename);                   break;
         case 'loadFromBlob': loadFromBlob(data.blob, data.filename);                 break;
         case 'loadGeometry': loadGeometry(jsonToGeometry(data.data), data.filename); break;
-        case 'slice':        slice(data.args); get_stats(); get_file(data.args);     break;
+        case 'slice':        slice(data.args); get_stats(); get_file(data.args, data.postProcessing, data.thumbnails); break;
         case 'stop':         stop();                                                 break;
         default:             Module.printErr('Unknown command: ' + cmd);
     };
@@ -48,7 +48,7 @@ class SlicerConfiguration {
         console.log("onLoaded called");
     }
 
-    getCommandLineArguments(filenames) {
+    getCommandLineArguments(filenames, meshSettings) {
     }
 
     /**
@@ -77,6 +77,11 @@ class SlicerInterface {
             case 'stats':
                 this.onPrintStats(data.stats);
                 break;
+            case 'error':
+                this.onSliceFailed(data.str);
+                this._stopWorker();
+                this._startWorker();
+                break;
             default:
                 this.onStderrOutput('Unknown command: ' + cmd);
         }
@@ -84,6 +89,7 @@ class SlicerInterface {
 
     _errorHandler(e) {
         this.onStderrOutput(['filename: ', e.filename, ' lineno: ', e.lineno, ' error: ', e.message].join(' '));
+        this.onSliceFailed(e.message);
     }
 
     // Event handlers (may be overriden by users):
@@ -93,6 +99,7 @@ class SlicerInterface {
     onProgress(progress)            {console.log("Slicing progress:", progress);};
     onPrintStats(stats)             {console.log("Print statistics:", stats);};
     onFileReceived(blob)            {};
+    onSliceFailed(message)          {console.error("Slicing failed:", message);};
     onOptionChanged(name, value)    {console.log("Option", name, "changed to", value);};
     onAttributeChanged(name, value) {console.log("Attributes for", name, "changed to", value);};
 
@@ -127,10 +134,21 @@ class SlicerInterface {
         }, json.tranferables);
     }
 
-    slice(filenames) {
+    /**
+     * Slices previously loaded meshes.
+     *
+     *   filenames    - Array of names given to "loadFromGeometry()"
+     *   meshSettings - Optional array of per-mesh setting overrides,
+     *                  one object per entry in filenames.
+     *   postProcessing - Optional list of steps for "PostProcessor.run()"
+     *   thumbnails     - Optional list of images for "PostProcessor.addThumbnails()"
+     */
+    slice(filenames, meshSettings, postProcessing, thumbnails) {
         this.worker.postMessage({
-            'cmd':      'slice',
-            'args':     this.config.getCommandLineArguments(filenames)
+            'cmd':            'slice',
+            'args':           this.config.getCommandLineArguments(filenames, meshSettings),
+            'postProcessing': postProcessing || [],
+            'thumbnails':     thumbnails || []
         });
     }
 
@@ -154,6 +172,10 @@ class SlicerInterface {
         this.config.setMultiple(values);
     }
 
+    getOption(name) {
+        return this.config.get(name);
+    }
+
     getOptionDescriptor(name) {
         return this.config.getSettingDescriptor(name);
     }
@@ -0,0 +1,147 @@
+/**
+ *
+ * @licstart
+ *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU Affero
+ * General Public License (GNU AGPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU AGPL for more details.
+ *
+ * As additional permission under GNU AGPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU AGPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend
+ *
+ */
+
+/**
+ * A BedMesh holds the heights measured by bed leveling, as read from the
+ * report which Marlin prints for "M420 V" or, with Unified Bed Leveling,
+ * "G29 T". The heights are in "grid[row][column]", with row 0 at the front
+ * and column 0 at the left, and are null where a point was not probed.
+ */
+class BedMesh {
+    /**
+     * The bounds are the positions of the points at the corners of the grid,
+     * as {min: {x, y}, max: {x, y}}
+     */
+    constructor(grid, bounds) {
+        this.grid   = grid;
+        this.rows   = grid.length;
+        this.cols   = grid[0].length;
+        this.bounds = bounds;
+    }
+
+    /**
+     * Reads a mesh from the lines which Marlin prints, returning null if
+     * there is none. Each row of the grid starts with its number, followed
+     * by the heights, as in:
+     *
+     *          0      1      2
+     *    0 +0.125 +0.050 -0.025
+     *    1 +0.100 +0.000  nan
+     *
+     * The reports from Unified Bed Leveling list the rows from the back and
+     * give the positions of the corners, such as "(  0,219)". For other reports,
+     * the mesh is taken to cover "defaultBounds".
+     */
+    static parse(text, defaultBounds) {
+        const rows    = [];
+        const corners = [];
+        for(const line of text.split(/\r?\n/)) {
+            const m = line.match(/^\s*(\d+)\s*\|?((?:\s*\[?\s*(?:[-+]?\d*\.\d+|nan|\.)\s*\]?)+)\s*$/i);
+            if(m) {
+                const values = m[2].replace(/[\[\]]/g, " ").trim().split(/\s+/);
+                rows[parseInt(m[1])] = values.map(value => /^[-+]?\d*\.\d+$/.test(value) ? parseFloat(value) : null);
+                continue;
+            }
+            for(const [, x, y] of line.matchAll(/\(\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\)/g)) {
+                corners.push({x: parseFloat(x), y: parseFloat(y)});
+            }
+        }
+        const cols = Math.max(0, ...rows.filter(row => row).map(row => row.length));
+        if(rows.length < 2 || cols < 2) {
+            return null;
+        }
+        const grid = Array.from(rows, row => Array.from({length: cols}, (_, i) => row && row[i] !== undefined ? row[i] : null));
+        const bounds = corners.length ? {
+            min: {x: Math.min(...corners.map(c => c.x)), y: Math.min(...corners.map(c => c.y))},
+            max: {x: Math.max(...corners.map(c => c.x)), y: Math.max(...corners.map(c => c.y))}
+        } : defaultBounds;
+        return new BedMesh(grid, bounds);
+    }
+
+    // Returns the position of a point in the grid, as {x, y}
+    pointAt(row, col) {
+        const {min, max} = this.bounds;
+        return {
+            x: min.x + (max.x - min.x) * col / (this.cols - 1),
+            y: min.y + (max.y - min.y) * row / (this.rows - 1)
+        };
+    }
+
+    // Returns the min, max, range and mean of the heights which were probed
+    getStatistics() {
+        const heights = this.grid.flat().filter(height => height !== null);
+        const min = Math.min(...heights), max = Math.max(...heights);
+        return {
+            min, max,
+            range: max - min,
+            mean:  heights.reduce((sum, height) => sum + height, 0) / heights.length,
+            count: heights.length
+        };
+    }
+
+    /**
+     * Returns how far to turn the leveling screw under each corner of the
+     * mesh to bring it level with the front left corner, as a list of
+     * {corner, height, turns}. The turns are positive where the corner is
+     * high and should be lowered, and negative where it should be raised.
+     */
+    getScrewTurns(screwPitch) {
+        const last = {row: this.rows - 1, col: this.cols - 1};
+        const corners = {
+            front_left:  this.grid[0][0],
+            front_right: this.grid[0][last.col],
+            back_left:   this.grid[last.row][0],
+            back_right:  this.grid[last.row][last.col]
+        };
+        const reference = corners.front_left;
+        return Object.entries(corners).map(([corner, height]) => ({
+            corner,
+            height,
+            turns: height === null || reference === null ? null : (height - reference) / screwPitch
+        }));
+    }
+
+    // Describes screw turns, such as "Lower 1/4 turn", to the nearest "1/BedMesh.turnDivisions" of a turn
+    static describeTurns(turns) {
+        if(turns === null) {
+            return "Not probed";
+        }
+        const steps = Math.round(Math.abs(turns) * BedMesh.turnDivisions);
+        if(steps == 0) {
+            return "Level";
+        }
+        const whole = Math.floor(steps / BedMesh.turnDivisions);
+        let part = steps % BedMesh.turnDivisions, divisions = BedMesh.turnDivisions;
+        while(part && part % 2 == 0 && divisions % 2 == 0) {
+            part /= 2;
+            divisions /= 2;
+        }
+        const amount = [whole ? String(whole) : "", part ? part + "/" + divisions : ""].filter(str => str).join(" ");
+        return (turns > 0 ? "Lower " : "Raise ") + amount + (steps > BedMesh.turnDivisions ? " turns" : " turn");
+    }
+}
+
+// How finely to describe screw turns, in parts of a turn
+BedMesh.turnDivisions = 8;
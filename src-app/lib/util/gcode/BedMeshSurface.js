@@ -0,0 +1,103 @@
+/**
+ *
+ * @licstart
+ *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU Affero
+ * General Public License (GNU AGPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU AGPL for more details.
+ *
+ * As additional permission under GNU AGPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU AGPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend
+ *
+ */
+
+/**
+ * Draws a BedMesh as a colored surface over the bed, with the heights
+ * exaggerated by "BedMeshSurface.heightScale" so that they can be seen
+ * and the lowest point just above the bed.
+ * The colors go from blue at the lowest point to red at the highest.
+ */
+class BedMeshSurface extends THREE.Object3D {
+    constructor(mesh) {
+        super();
+
+        const {min, max} = mesh.getStatistics();
+        const positions = new Float32Array(mesh.rows * mesh.cols * 3);
+        const colors    = new Float32Array(mesh.rows * mesh.cols * 3);
+        const color     = new THREE.Color();
+        const index     = [];
+        const vertex    = (row, col) => row * mesh.cols + col;
+        for(let row = 0; row < mesh.rows; row++) {
+            for(let col = 0; col < mesh.cols; col++) {
+                const height = mesh.grid[row][col];
+                const {x, y} = mesh.pointAt(row, col);
+                const i      = vertex(row, col) * 3;
+                positions[i]     = x;
+                positions[i + 1] = y;
+                positions[i + 2] = BedMeshSurface.lift + ((height === null ? min : height) - min) * BedMeshSurface.heightScale;
+                BedMeshSurface.heightColor(color, height, min, max).toArray(colors, i);
+            }
+        }
+        // Cells with points that were not probed are left out
+        for(let row = 0; row < mesh.rows - 1; row++) {
+            for(let col = 0; col < mesh.cols - 1; col++) {
+                const a = vertex(row, col), b = vertex(row, col + 1), c = vertex(row + 1, col + 1), d = vertex(row + 1, col);
+                if([a, b, c, d].every(v => mesh.grid[Math.floor(v / mesh.cols)][v % mesh.cols] !== null)) {
+                    index.push(a, b, c, a, c, d);
+                }
+            }
+        }
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.geometry.setAttribute('color',    new THREE.BufferAttribute(colors,    3));
+        this.geometry.setIndex(index);
+
+        this.surface   = new THREE.Mesh(this.geometry, BedMeshSurface.material);
+        this.wireframe = new THREE.LineSegments(new THREE.WireframeGeometry(this.geometry), BedMeshSurface.wireframeMaterial);
+        this.add(this.surface);
+        this.add(this.wireframe);
+    }
+
+    dispose() {
+        this.geometry.dispose();
+        this.wireframe.geometry.dispose();
+    }
+
+    // Sets a color from blue, for the lowest height, through green to red, for the highest
+    static heightColor(color, height, min, max) {
+        if(height === null) {
+            return color.set(BedMeshSurface.unprobedColor);
+        }
+        const t = max > min ? (height - min) / (max - min) : 0.5;
+        return color.setHSL((1 - t) * 2 / 3, 1, 0.5);
+    }
+}
+
+// How much the heights are exaggerated by
+BedMeshSurface.heightScale = 50;
+
+// How far above the bed the surface is drawn, in mm
+BedMeshSurface.lift = 1;
+
+BedMeshSurface.unprobedColor = 0x808080;
+
+BedMeshSurface.material = new THREE.MeshBasicMaterial({
+    vertexColors: THREE.VertexColors,
+    side:         THREE.DoubleSide,
+    transparent:  true,
+    opacity:      0.8
+});
+
+BedMeshSurface.wireframeMaterial = new THREE.LineBasicMaterial({color: 0x333333, transparent: true, opacity: 0.5});
@@ -0,0 +1,228 @@
+/**
+ *
+ * @licstart
+ *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU Affero
+ * General Public License (GNU AGPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU AGPL for more details.
+ *
+ * As additional permission under GNU AGPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU AGPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend
+ *
+ */
+
+/**
+ * The GCodeAnalyzer works out the statistics of a G-code file from the
+ * moves themselves, so that it does not depend on the comments which
+ * some slicers write in the header.
+ */
+class GCodeAnalyzer {
+    /**
+     *   options.filamentDiameter - In mm
+     *   options.filamentDensity  - In g/cm³
+     *   options.limits           - The machine limits for "PrintTimeEstimator"
+     *   options.buildVolume      - The printable area, as {min: {x, y, z}, max: {x, y, z}},
+     *                              or null to skip checking the moves
+     */
+    constructor(options = {}) {
+        this.filamentDiameter = options.filamentDiameter || 1.75;
+        this.filamentDensity  = options.filamentDensity  || GCodeAnalyzer.filamentDensity;
+        this.limits           = options.limits;
+        this.buildVolume      = options.buildVolume || null;
+    }
+
+    /**
+     * Returns the statistics for the G-code in a GCodeParser:
+     *
+     *   time            - The estimated print time, in seconds
+     *   times           - The time at which each move ends, from "PrintTimeEstimator.estimate()"
+     *   layers          - The number of layers
+     *   layerStats      - For each ";LAYER:" comment, by layer number, the height, time,
+     *                     filament length in mm and mass in g, and feature types printed
+     *   bounds          - The extents of the extruding moves, as {min: {x, y, z}, max: {x, y, z}},
+     *                     or null if nothing is extruded
+     *   extruders       - For each extruder used, the filament length in mm and mass in g
+     *   maxTemperatures - The highest temperature set for each extruder, the bed and the
+     *                     chamber, in °C
+     *   outOfBounds     - The number of moves outside the build volume and the line
+     *                     numbers of the first few
+     */
+    analyze(gcode_parser) {
+        const filamentArea = Math.PI * Math.pow(this.filamentDiameter / 2, 2);
+        const min      = {x:  Infinity, y:  Infinity, z:  Infinity};
+        const max      = {x: -Infinity, y: -Infinity, z: -Infinity};
+        const filament = [];
+        const temps    = {extruders: [], bed: 0, chamber: 0};
+        const outside  = {count: 0, lines: []};
+        const volume   = this.buildVolume;
+        const epsilon  = GCodeAnalyzer.epsilon;
+        const layerComments = new Set();
+        const layerStats = [];
+        let x = 0, y = 0, z = 0, e = 0, tool = 0;
+        let layers = 0, layerZ, moves = 0, layer = null, feature = null;
+
+        function extend(x, y, z) {
+            min.x = Math.min(min.x, x); max.x = Math.max(max.x, x);
+            min.y = Math.min(min.y, y); max.y = Math.max(max.y, y);
+            min.z = Math.min(min.z, z); max.z = Math.max(max.z, z);
+        }
+
+        function isOutside(x, y, z) {
+            return x < volume.min.x - epsilon || x > volume.max.x + epsilon ||
+                   y < volume.min.y - epsilon || y > volume.max.y + epsilon ||
+                   z < volume.min.z - epsilon || z > volume.max.z + epsilon;
+        }
+
+        function setTemperature(list, index, params) {
+            if(params.S != null) {
+                list[index] = Math.max(list[index] || 0, params.S);
+            }
+        }
+
+        gcode_parser.parse({
+            motion: (this_x, this_y, this_z, this_e, feedrate, line) => {
+                const length = Math.hypot(this_x - x, this_y - y, this_z - z);
+                if(this_e != e) {
+                    // Retractions count against the filament used, so that only
+                    // what is left in the print is counted
+                    filament[tool] = (filament[tool] || 0) + this_e - e;
+                    if(layer) {
+                        layer.filament += this_e - e;
+                    }
+                }
+                if(this_e > e && length > 0) {
+                    if(layer) {
+                        layer.z = Math.max(layer.z, this_z);
+                        if(feature) {
+                            layer.features.add(feature);
+                        }
+                    }
+                    extend(x, y, z);
+                    extend(this_x, this_y, this_z);
+                    if(layerZ === undefined || this_z - layerZ >= GCodeAnalyzer.minLayerHeight) {
+                        layers++;
+                    }
+                    if(layerZ === undefined || Math.abs(this_z - layerZ) >= GCodeAnalyzer.minLayerHeight) {
+                        layerZ = this_z;
+                    }
+                }
+                if(volume && isOutside(this_x, this_y, this_z)) {
+                    if(outside.lines.length < GCodeAnalyzer.maxOutOfBoundsLines) {
+                        outside.lines.push(line);
+                    }
+                    outside.count++;
+                }
+                x = this_x; y = this_y; z = this_z; e = this_e;
+                moves++;
+            },
+            setPosition: (axis, value) => {
+                switch(axis) {
+                    case "X": x = value; break;
+                    case "Y": y = value; break;
+                    case "Z": z = value; break;
+                    case "E": e = value; break;
+                }
+            },
+            comment: (key, value) => {
+                if(key == "LAYER") {
+                    layerComments.add(value);
+                    // Raft layers have negative numbers and are not counted
+                    const number = parseInt(value);
+                    layer = number >= 0 ? {z: 0, firstMove: moves, filament: 0, features: new Set()} : null;
+                    if(layer) {
+                        layerStats[number] = layer;
+                    }
+                }
+                if(key == "TYPE") {
+                    feature = value;
+                }
+            },
+            command: (code, params) => {
+                switch(code) {
+                    case "M104":
+                    case "M109": setTemperature(temps.extruders, params.T == null ? tool : params.T, params); break;
+                    case "M140":
+                    case "M190": setTemperature(temps, "bed",     params); break;
+                    case "M141":
+                    case "M191": setTemperature(temps, "chamber", params); break;
+                    default:
+                        if(code[0] == "T") {
+                            tool = parseInt(code.substring(1)) || 0;
+                        }
+                }
+            }
+        });
+
+        const estimate = new PrintTimeEstimator(this.limits).estimate(gcode_parser);
+        const extruders = [];
+        for(let i = 0; i < filament.length; i++) {
+            const length = Math.max(filament[i] || 0, 0);
+            extruders.push({length, mass: length * filamentArea / 1000 * this.filamentDensity});
+        }
+        for(let i = 0; i < temps.extruders.length; i++) {
+            temps.extruders[i] = temps.extruders[i] || 0;
+        }
+        // Each layer runs until the next one starts, as in the preview
+        const endOf = move => move > 0 ? estimate.times[move - 1] : 0;
+        const sorted = layerStats.filter(layer => layer).sort((a, b) => a.firstMove - b.firstMove);
+        sorted.forEach((layer, i) => {
+            const next = i + 1 < sorted.length ? sorted[i + 1].firstMove : moves;
+            layer.time     = endOf(next) - endOf(layer.firstMove);
+            layer.mass     = Math.max(layer.filament, 0) * filamentArea / 1000 * this.filamentDensity;
+            layer.features = Array.from(layer.features);
+        });
+        return {
+            time:            estimate.total,
+            times:           estimate.times,
+            layers:          layerComments.size || layers,
+            layerStats:      layerStats,
+            bounds:          min.x <= max.x ? {min, max} : null,
+            extruders:       extruders,
+            maxTemperatures: temps,
+            outOfBounds:     outside
+        };
+    }
+
+    /**
+     * Returns the build volume of the machine, given a function which
+     * returns the value of a slicer setting
+     */
+    static buildVolumeFromSettings(get) {
+        const width  = parseFloat(get("machine_width"));
+        const depth  = parseFloat(get("machine_depth"));
+        const height = parseFloat(get("machine_height"));
+        const center = get("machine_center_is_zero");
+        const x0 = center ? -width / 2 : 0;
+        const y0 = center ? -depth / 2 : 0;
+        return {
+            min: {x: x0,         y: y0,         z: 0},
+            max: {x: x0 + width, y: y0 + depth, z: height}
+        };
+    }
+}
+
+// The density of PLA, in g/cm³, for working out the mass of filament when the
+// material profile does not give "filament_density"
+GCodeAnalyzer.filamentDensity = 1.24;
+
+// Extrusions that rise by less than this are taken to be on the same
+// layer, as when printing a spiral, in mm
+GCodeAnalyzer.minLayerHeight = 0.04;
+
+// How many of the moves outside the build volume to list
+GCodeAnalyzer.maxOutOfBoundsLines = 10;
+
+// How far a move may stray outside the build volume, in mm
+GCodeAnalyzer.epsilon = 0.001;
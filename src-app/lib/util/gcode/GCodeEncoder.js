@@ -0,0 +1,355 @@
+/**
+ *
+ * @licstart
+ *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU Affero
+ * General Public License (GNU AGPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU AGPL for more details.
+ *
+ * As additional permission under GNU AGPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU AGPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend
+ *
+ */
+
+/**
+ * The GCodeEncoder writes G-code out in one of the formats listed in
+ * "GCodeEncoder.formats", and reads any of them back as text. Compression
+ * uses the deflate implementation which comes with JSZip.
+ */
+class GCodeEncoder {
+    /**
+     * Encodes G-code text, returning a Uint8Array. The options are:
+     *
+     *   metadata    - For binary G-code, an object with "file", "printer", "print"
+     *                 and "slicer" sections, each holding keys and values
+     *   compression - For binary G-code, either "none", the default, or "deflate",
+     *                 which not every printer can read
+     */
+    static encode(gcode, format, options = {}) {
+        const info = GCodeEncoder.formats[format];
+        if(!info) {
+            throw Error("Unknown G-code format: " + format);
+        }
+        return info.encode(gcode, options);
+    }
+
+    /**
+     * Decodes G-code in any of the formats, telling them apart by
+     * the first few bytes. Returns the text of the G-code.
+     */
+    static decode(data) {
+        data = new Uint8Array(data);
+        if(GCodeEncoder.startsWith(data, GCodeEncoder.gzipMagic)) {
+            return new TextDecoder().decode(GCodeEncoder.gunzip(data));
+        }
+        if(GCodeEncoder.startsWith(data, GCodeEncoder.bgcodeMagic)) {
+            return GCodeEncoder.decodeBinary(data);
+        }
+        return new TextDecoder().decode(data);
+    }
+
+    // Returns the file name for a format, given one ending in ".gcode"
+    static fileName(name, format) {
+        return GCodeEncoder.formats[format].fileName(name);
+    }
+
+    static startsWith(data, magic) {
+        return magic.every((byte, i) => data[i] == byte);
+    }
+
+    /**
+     * Strips comments, other than those which the preview uses to
+     * find the layers and features, and drops trailing zeros from
+     * the numbers in moves
+     */
+    static compact(gcode) {
+        const lines = PostProcessor.scripts.strip_comments.process(gcode.split("\n"), {keep_preview: true});
+        return lines.map(line => {
+            if(line[0] != "G") {
+                return line;
+            }
+            return line.replace(/\s+/g, " ").replace(/(\.\d*?)0+(?=\s|$)/g, "$1").replace(/\.(?=\s|$)/g, "");
+        }).join("\n") + "\n";
+    }
+
+    // Compression
+
+    static deflateRaw(data) {
+        return JSZip.compressions.DEFLATE.compress(data, {level: GCodeEncoder.compressionLevel});
+    }
+
+    static inflateRaw(data) {
+        return new Uint8Array(JSZip.compressions.DEFLATE.uncompress(data));
+    }
+
+    static gzip(data) {
+        const deflated = GCodeEncoder.deflateRaw(data);
+        const out  = new Uint8Array(10 + deflated.length + 8);
+        const view = new DataView(out.buffer);
+        out.set(GCodeEncoder.gzipMagic);
+        out[2] = 8;    // Deflate
+        out[9] = 255;  // Unknown operating system
+        out.set(deflated, 10);
+        view.setUint32(10 + deflated.length,     GCodeEncoder.crc32(data), true);
+        view.setUint32(10 + deflated.length + 4, data.length,              true);
+        return out;
+    }
+
+    static gunzip(data) {
+        const flags = data[3];
+        let offset = 10;
+        if(flags & 4) {  // Extra field
+            offset += 2 + (data[offset] | data[offset + 1] << 8);
+        }
+        for(const flag of [8, 16]) { // File name and comment
+            if(flags & flag) {
+                while(data[offset++]);
+            }
+        }
+        if(flags & 2) {  // Header checksum
+            offset += 2;
+        }
+        const out = GCodeEncoder.inflateRaw(data.subarray(offset, data.length - 8));
+        const crc = new DataView(data.buffer, data.byteOffset + data.length - 8, 4).getUint32(0, true);
+        if(crc != GCodeEncoder.crc32(out)) {
+            throw Error("The compressed G-code is corrupt");
+        }
+        return out;
+    }
+
+    // Deflate with the zlib header and checksum, as used by binary G-code
+    static zlib(data) {
+        const deflated = GCodeEncoder.deflateRaw(data);
+        const out = new Uint8Array(2 + deflated.length + 4);
+        out[0] = 0x78;
+        out[1] = 0x9C;
+        out.set(deflated, 2);
+        new DataView(out.buffer).setUint32(2 + deflated.length, GCodeEncoder.adler32(data));
+        return out;
+    }
+
+    static unzlib(data) {
+        return GCodeEncoder.inflateRaw(data.subarray(2, data.length - 4));
+    }
+
+    static crc32(data) {
+        let table = GCodeEncoder.crcTable;
+        if(!table) {
+            table = GCodeEncoder.crcTable = new Uint32Array(256);
+            for(let i = 0; i < 256; i++) {
+                let c = i;
+                for(let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[i] = c;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for(let i = 0; i < data.length; i++) {
+            crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static adler32(data) {
+        let a = 1, b = 0;
+        for(let i = 0; i < data.length;) {
+            // Sums are reduced every few thousand bytes, before they can overflow
+            for(const end = Math.min(i + 5552, data.length); i < end; i++) {
+                a += data[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    // Binary G-code
+
+    /**
+     * Writes Prusa's binary G-code format. The G-code is broken into
+     * blocks, following blocks of metadata and any thumbnails, which are
+     * taken out of the "; thumbnail begin" comments and the blank comment
+     * lines around them. Each block ends with
+     * a CRC32 checksum.
+     */
+    static encodeBinary(gcode, options) {
+        const types    = GCodeEncoder.bgcodeBlockTypes;
+        const metadata = options.metadata || {};
+        const deflate  = options.compression == "deflate";
+        const blocks   = [];
+
+        const thumbnails = [];
+        gcode = gcode.replace(/^(?:;\r?\n)?;\s*thumbnail begin (\d+)x(\d+) \d+\r?\n((?:;.*\r?\n)*?);\s*thumbnail end\r?\n(?:;\r?\n)?/gm,
+            (match, width, height, lines) => {
+                thumbnails.push({width: parseInt(width), height: parseInt(height), png: atob(lines.replace(/[;\s]/g, ""))});
+                return "";
+            }
+        );
+
+        function ini(section) {
+            return new TextEncoder().encode(Object.entries(section || {}).map(([key, value]) => key + "=" + value + "\n").join(""));
+        }
+        blocks.push(GCodeEncoder.binaryBlock(types.file,    false, [0], ini(metadata.file)));
+        blocks.push(GCodeEncoder.binaryBlock(types.printer, false, [0], ini(metadata.printer)));
+        for(const {width, height, png} of thumbnails) {
+            const data = Uint8Array.from(png, c => c.charCodeAt(0));
+            blocks.push(GCodeEncoder.binaryBlock(types.thumbnail, false, [0, width, height], data));
+        }
+        blocks.push(GCodeEncoder.binaryBlock(types.print,   false,   [0], ini(metadata.print)));
+        blocks.push(GCodeEncoder.binaryBlock(types.slicer,  deflate, [0], ini(metadata.slicer)));
+
+        // Break the G-code into blocks at the ends of lines
+        const text = new TextEncoder().encode(gcode);
+        for(let start = 0; start < text.length;) {
+            let end = Math.min(start + GCodeEncoder.bgcodeBlockSize, text.length);
+            if(end < text.length) {
+                const newline = text.lastIndexOf(10, end - 1);
+                if(newline >= start) {
+                    end = newline + 1;
+                }
+            }
+            blocks.push(GCodeEncoder.binaryBlock(types.gcode, deflate, [0], text.subarray(start, end)));
+            start = end;
+        }
+
+        const header = new Uint8Array(10);
+        const view   = new DataView(header.buffer);
+        header.set(GCodeEncoder.bgcodeMagic);
+        view.setUint32(4, GCodeEncoder.bgcodeVersion, true);
+        view.setUint16(8, 1, true); // CRC32 checksums
+        return GCodeEncoder.concat([header, ...blocks]);
+    }
+
+    /**
+     * Returns a block of binary G-code. The parameters are a list of
+     * 16-bit values, which depend on the type of block.
+     */
+    static binaryBlock(type, deflate, params, data) {
+        const payload    = deflate ? GCodeEncoder.zlib(data) : data;
+        const headerSize = deflate ? 12 : 8;
+        const size       = headerSize + params.length * 2 + payload.length;
+        const out  = new Uint8Array(size + 4);
+        const view = new DataView(out.buffer);
+        view.setUint16(0, type, true);
+        view.setUint16(2, deflate ? 1 : 0, true);
+        view.setUint32(4, data.length, true);
+        if(deflate) {
+            view.setUint32(8, payload.length, true);
+        }
+        params.forEach((value, i) => view.setUint16(headerSize + i * 2, value, true));
+        out.set(payload, headerSize + params.length * 2);
+        view.setUint32(size, GCodeEncoder.crc32(out.subarray(0, size)), true);
+        return out;
+    }
+
+    /**
+     * Reads binary G-code, checking the checksums and returning the text
+     * of the G-code blocks
+     */
+    static decodeBinary(data) {
+        const types = GCodeEncoder.bgcodeBlockTypes;
+        const view  = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const hasChecksums = view.getUint16(8, true) == 1;
+        const gcode = [];
+        for(let offset = 10; offset < data.length;) {
+            const type        = view.getUint16(offset, true);
+            const compression = view.getUint16(offset + 2, true);
+            const size        = view.getUint32(offset + 4, true);
+            const headerSize  = compression ? 12 : 8;
+            const payloadSize = compression ? view.getUint32(offset + 8, true) : size;
+            const paramSize   = type == types.thumbnail ? 6 : 2;
+            const end         = offset + headerSize + paramSize + payloadSize;
+            if(end + (hasChecksums ? 4 : 0) > data.length) {
+                throw Error("The binary G-code is truncated");
+            }
+            if(hasChecksums && GCodeEncoder.crc32(data.subarray(offset, end)) != view.getUint32(end, true)) {
+                throw Error("The binary G-code is corrupt");
+            }
+            if(type == types.gcode) {
+                if(view.getUint16(offset + headerSize, true) != 0) {
+                    throw Error("MeatPack encoded G-code is not supported");
+                }
+                const payload = data.subarray(end - payloadSize, end);
+                switch(compression) {
+                    case 0: gcode.push(payload); break;
+                    case 1: gcode.push(GCodeEncoder.unzlib(payload)); break;
+                    default: throw Error("Heatshrink compressed G-code is not supported");
+                }
+            }
+            offset = end + (hasChecksums ? 4 : 0);
+        }
+        return new TextDecoder().decode(GCodeEncoder.concat(gcode));
+    }
+
+    static concat(arrays) {
+        const out = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+        let offset = 0;
+        for(const array of arrays) {
+            out.set(array, offset);
+            offset += array.length;
+        }
+        return out;
+    }
+}
+
+/**
+ * The output formats, each with a label, a function which gives the file
+ * name, from one ending in ".gcode", and a function which encodes the text
+ */
+GCodeEncoder.formats = {
+    "gcode": {
+        label:    "G-code",
+        fileName: name => name,
+        encode:   gcode => new TextEncoder().encode(gcode)
+    },
+    "compact": {
+        label:    "G-code without comments",
+        fileName: name => name,
+        encode:   gcode => new TextEncoder().encode(GCodeEncoder.compact(gcode))
+    },
+    "gzip": {
+        label:    "Compressed G-code (gzip)",
+        fileName: name => name + ".gz",
+        encode:   gcode => GCodeEncoder.gzip(new TextEncoder().encode(gcode))
+    },
+    "bgcode": {
+        label:    "Binary G-code",
+        fileName: name => name.replace(/\.(gco|gcode)$/i, "") + ".bgcode",
+        encode:   (gcode, options) => GCodeEncoder.encodeBinary(gcode, options)
+    }
+};
+
+GCodeEncoder.compressionLevel = 9;
+
+GCodeEncoder.gzipMagic   = [0x1F, 0x8B];
+GCodeEncoder.bgcodeMagic = [0x47, 0x43, 0x44, 0x45]; // "GCDE"
+
+GCodeEncoder.bgcodeVersion = 1;
+
+// The largest G-code block in binary G-code, in bytes, before compression
+GCodeEncoder.bgcodeBlockSize = 65535;
+
+GCodeEncoder.bgcodeBlockTypes = {
+    file:      0,
+    gcode:     1,
+    slicer:    2,
+    printer:   3,
+    print:     4,
+    thumbnail: 5
+};
+
+GCodeEncoder.crcTable = null;
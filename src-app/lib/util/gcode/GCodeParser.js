@@ -2,6 +2,7 @@
  *
  * @licstart
  *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
  * Copyright (C) 2017  AlephObjects, Inc.
  *
  *
@@ -23,71 +24,354 @@
  *
  */
 
+/**
+ * The GCodeParser interprets G-code the way Marlin does, keeping track
+ * of the modal state (motion mode, absolute or relative axes, units,
+ * arc plane and feedrate) from one line to the next. As in Marlin, G90 and
+ * G91 switch the extruder too, while M82 and M83 switch it alone, so the
+ * last of these commands decides whether E is relative.
+ *
+ * Firmware retracts (G10 and G11) are drawn as moves of the extruder alone,
+ * using the lengths and feedrates in "GCodeParser.firmwareRetract", since
+ * the settings in the printer itself are not known.
+ */
 class GCodeParser {
     constructor(data) {
         this.data = data;
     }
 
+    /**
+     * Interprets the G-code, calling any of the following methods which
+     * are present in obj:
+     *
+     *   motion(x, y, z, e, feedrate, line) - For each move. Arcs are broken up into short
+     *                                        segments. Positions are absolute and in mm,
+     *                                        the feedrate is in mm/min. While retracted
+     *                                        by G10, "e" is less than the E position of
+     *                                        the G-code by the retract length.
+     *   setPosition(axis, value, line)     - When G92 or G28 changes the position of an
+     *                                        axis without a move being drawn.
+     *   comment(key, value, line)          - For each comment of the form ";KEY:value"
+     *   command(code, params, line)        - For all other commands, such as "M104" or "G4".
+     *                                        Params holds the value of each letter word, or
+     *                                        null for letters without a value. Commands that
+     *                                        take a string, such as "M117", have it in "text".
+     *
+     * Line numbers are counted from one.
+     */
     parse(obj) {
-        var lineRe     = /^.*([\n\r]+|$)/gm;
-        var movementRe = /^G[01]\s+([XYZFE][0-9\.\-]+\s*)+/;
-        var setPosRe   = /^G92\s+([XYZE][0-9\.\-]+\s*)+/;
-        var modeRe     = /^G9([01])\b/;
-        var emodeRe    = /^M83\b/;
-        var axisRe     = /([XYZE])([0-9\.\-]+)/g;
-        var attrRe     = /^;(\w+):(.+)\s*$/
-        var m, n;
-        var e_abs = true, absolute = true, x = 0, y = 0, z = 0, e = 0;
-        var processMotion  = obj.hasOwnProperty("motion");
-        var processComment = obj.hasOwnProperty("comment");
-        var processSetPos  = obj.hasOwnProperty("setPosition");
-        
-        function parseAxis(m, set_x, set_y, set_z, set_e) {
-            while (n = axisRe.exec(m[0])) {
-                var axis  = n[1];
-                var value = parseFloat(n[2]);
-                switch(axis) {
-                    case "X": set_x(value); break;
-                    case "Y": set_y(value); break;
-                    case "Z": set_z(value); break;
-                    case "E": set_e(value); break;
-                }
+        const wordRe = /([A-Za-z])\s*([-+]?(?:\d+\.?\d*|\.\d+))?/g;
+        const attrRe = /^;(\w+):(.+)\s*$/;
+        const axes   = ["X", "Y", "Z", "E"];
+
+        const processMotion  = obj.hasOwnProperty("motion");
+        const processComment = obj.hasOwnProperty("comment");
+        const processSetPos  = obj.hasOwnProperty("setPosition");
+        const processCommand = obj.hasOwnProperty("command");
+
+        // The modal state
+        const pos      = {X: 0, Y: 0, Z: 0, E: 0};
+        const relative = {X: false, Y: false, Z: false, E: false}; // Set by G90 and G91, and for E by M82 and M83
+        let units      = 1;
+        let feedrate   = 0;
+        let motionMode = null;
+        let plane      = GCodeParser.planes.G17;
+        let retracted  = 0;                                         // Set by G10 and G11
+        let line;
+
+        // Returns where an axis will be after a move with the given parameters
+        function target(params, axis) {
+            const value = params[axis];
+            if(value === undefined || value === null) {
+                return pos[axis];
             }
+            return relative[axis] ? pos[axis] + value * units : value * units;
         }
-        
-        this.data.match(lineRe).forEach(
-            line => {
-                if (m = movementRe.exec(line)) {
-                    parseAxis(
-                        m,
-                        v => x = absolute ? v : x + v,
-                        v => y = absolute ? v : y + v,
-                        v => z = absolute ? v : z + v,
-                        v => e = e_abs    ? v : e + v 
-                    );
-                    if(processMotion) {
-                        obj.motion(x, y, z, e);
-                    }
+
+        function emit(rate = feedrate) {
+            if(processMotion) {
+                obj.motion(pos.X, pos.Y, pos.Z, pos.E - retracted, rate, line);
+            }
+        }
+
+        function linearMove(params) {
+            axes.forEach(axis => pos[axis] = target(params, axis));
+            emit();
+        }
+
+        function arcMove(params, clockwise) {
+            const [p, q, l] = plane.axes;
+            const end = {};
+            axes.forEach(axis => end[axis] = target(params, axis));
+
+            // Find the center of the arc, relative to the starting point
+            let offsetP = (params[plane.offsets[0]] || 0) * units;
+            let offsetQ = (params[plane.offsets[1]] || 0) * units;
+            if(params.R) {
+                const r  = params.R * units;
+                const dp = end[p] - pos[p];
+                const dq = end[q] - pos[q];
+                const d  = Math.hypot(dp, dq);
+                if(d == 0) {
+                    // The center is undefined when the start and end points are the same
+                    linearMove(params);
+                    return;
                 }
-                else if (m = modeRe.exec(line)) {
-                    absolute = e_abs = (m[1] == '0');
+                const sign = (clockwise != (r < 0)) ? -1 : 1;
+                const h    = Math.sqrt(Math.max(0, r * r - d * d / 4));
+                offsetP = dp / 2 - sign * h * dq / d;
+                offsetQ = dq / 2 + sign * h * dp / d;
+            }
+            const centerP = pos[p] + offsetP;
+            const centerQ = pos[q] + offsetQ;
+            const radius  = Math.hypot(offsetP, offsetQ);
+            if(radius == 0) {
+                linearMove(params);
+                return;
+            }
+
+            // Measure the angle swept from the start to the end point
+            const startP = -offsetP, startQ = -offsetQ;
+            const endP   = end[p] - centerP, endQ = end[q] - centerQ;
+            let angle = Math.atan2(startP * endQ - startQ * endP, startP * endP + startQ * endQ);
+            if(angle < 0) {
+                angle += 2 * Math.PI;
+            }
+            if(clockwise) {
+                angle -= 2 * Math.PI;
+            }
+            const isClosed = Math.abs(end[p] - pos[p]) < GCodeParser.epsilon &&
+                             Math.abs(end[q] - pos[q]) < GCodeParser.epsilon;
+            if(isClosed) {
+                angle = clockwise ? -2 * Math.PI : 2 * Math.PI;
+            }
+            if(params.P > 0) {
+                // Additional full turns
+                angle += (clockwise ? -2 : 2) * Math.PI * Math.round(params.P);
+            }
+
+            const segments = Math.max(1, Math.ceil(Math.max(
+                Math.abs(angle) * radius / GCodeParser.arcSegmentLength,
+                Math.abs(angle) / GCodeParser.arcSegmentAngle
+            )));
+            const start = Object.assign({}, pos);
+            for(let i = 1; i < segments; i++) {
+                const t   = i / segments;
+                const cos = Math.cos(angle * t);
+                const sin = Math.sin(angle * t);
+                pos[p] = centerP + startP * cos - startQ * sin;
+                pos[q] = centerQ + startP * sin + startQ * cos;
+                pos[l] = start[l] + (end[l] - start[l]) * t;
+                pos.E  = start.E  + (end.E  - start.E)  * t;
+                emit();
+            }
+            // Finish exactly on the requested end point
+            Object.assign(pos, end);
+            emit();
+        }
+
+        function home(params) {
+            const homeAll = !["X", "Y", "Z"].some(axis => params.hasOwnProperty(axis));
+            ["X", "Y", "Z"].forEach(axis => {
+                if(homeAll || params.hasOwnProperty(axis)) {
+                    setPosition(axis, GCodeParser.homePosition[axis]);
                 }
-                else if (m = emodeRe.exec(line)) {
-                    e_abs = false;
+            });
+        }
+
+        /**
+         * Pulls the filament back for G10 or pushes it forward again for G11.
+         * As in Marlin, repeating either one does nothing, and the E position
+         * seen by the G-code does not change.
+         */
+        function firmwareRetract(retract) {
+            const settings = GCodeParser.firmwareRetract;
+            if(retract == (retracted > 0)) {
+                return;
+            }
+            retracted = retract ? settings.length : 0;
+            emit(retract ? settings.feedrate : settings.recoverFeedrate);
+        }
+
+        function setPosition(axis, value) {
+            pos[axis] = value;
+            if(processSetPos) {
+                obj.setPosition(axis, value, line);
+            }
+        }
+
+        function hasAxisWords(params) {
+            return axes.some(axis => params[axis] !== undefined && params[axis] !== null);
+        }
+
+        function execute(code, params) {
+            switch(code) {
+                case "G0":
+                case "G1":
+                case "G2":
+                case "G3":
+                    motionMode = code;
+                    move(params);
+                    return;
+                case "G17":
+                case "G18":
+                case "G19": plane = GCodeParser.planes[code]; break;
+                case "G20": units = 25.4; break;
+                case "G21": units = 1; break;
+                case "G28": home(params); break;
+                case "G90": axes.forEach(axis => relative[axis] = false); break;
+                case "G91": axes.forEach(axis => relative[axis] = true);  break;
+                case "G10":
+                    // With P or L, this sets offsets in other firmwares rather than retracting
+                    if(!params.hasOwnProperty("P") && !params.hasOwnProperty("L")) {
+                        firmwareRetract(true);
+                    }
+                    break;
+                case "G11": firmwareRetract(false); break;
+                case "G92":
+                    axes.forEach(axis => {
+                        if(params[axis] !== undefined && params[axis] !== null) {
+                            setPosition(axis, params[axis] * units);
+                        }
+                    });
+                    break;
+                case "M82": relative.E = false; break;
+                case "M83": relative.E = true;  break;
+            }
+            if(processCommand) {
+                obj.command(code, params, line);
+            }
+        }
+
+        function move(params) {
+            if(params.F) {
+                feedrate = params.F * units;
+            }
+            if(!hasAxisWords(params)) {
+                return;
+            }
+            switch(motionMode) {
+                case "G0":
+                case "G1": linearMove(params); break;
+                case "G2": arcMove(params, true); break;
+                case "G3": arcMove(params, false); break;
+            }
+        }
+
+        const data = this.data;
+        line = 0;
+        for(let start = 0; start < data.length;) {
+            let end = data.indexOf('\n', start);
+            if(end == -1) {
+                end = data.length;
+            }
+            let str = data.substring(start, end);
+            start = end + 1;
+            line++;
+
+            // Separate out the comments
+            const semicolon = str.indexOf(';');
+            if(semicolon != -1) {
+                if(processComment) {
+                    const m = attrRe.exec(str.substring(semicolon));
+                    if(m && !str.substring(0, semicolon).trim()) {
+                        obj.comment(m[1], m[2], line);
+                    }
                 }
-                else if(processComment && (m = attrRe.exec(line))) {
-                    obj.comment(m[1], m[2]);
+                str = str.substring(0, semicolon);
+            }
+            if(str.indexOf('(') != -1) {
+                str = str.replace(/\([^)]*\)/g, '');
+            }
+            // Remove the checksum
+            const asterisk = str.indexOf('*');
+            if(asterisk != -1) {
+                str = str.substring(0, asterisk);
+            }
+
+            // Break the line into commands and parameters
+            const codes  = [];
+            const params = {};
+            let m;
+            wordRe.lastIndex = 0;
+            while(m = wordRe.exec(str)) {
+                const letter = m[1].toUpperCase();
+                const value  = m[2] === undefined ? null : parseFloat(m[2]);
+                if(letter == "N" && !codes.length) {
+                    continue; // Line number
                 }
-                else if(m = setPosRe.exec(line)) {
-                    parseAxis(
-                        m,
-                        v => {processSetPos && obj.setPosition("X", v); x = v;},
-                        v => {processSetPos && obj.setPosition("Y", v); y = v;},
-                        v => {processSetPos && obj.setPosition("Z", v); z = v;},
-                        v => {processSetPos && obj.setPosition("E", v); e = v;}
-                    );
+                // Tool numbers are parameters when they follow a command, as in "M104 T1 S200"
+                if(letter == "G" || letter == "M" || (letter == "T" && !codes.length)) {
+                    const code = letter + (value === null ? "" : value);
+                    codes.push(code);
+                    if(GCodeParser.textCommands.includes(code)) {
+                        params.text = str.substring(wordRe.lastIndex).trim();
+                        break;
+                    }
+                } else {
+                    params[letter] = value;
                 }
             }
-        );
+
+            if(codes.length) {
+                codes.forEach(code => execute(code, params));
+            } else if(motionMode) {
+                // Lines with only parameters continue the last motion command
+                move(params);
+            }
+        }
     }
-}
\ No newline at end of file
+
+    /**
+     * Returns the text of the lines from first to last, counting from one
+     */
+    getLines(first, last) {
+        const data = this.data;
+        if(!this.lineStarts) {
+            let count = 1;
+            for(let i = data.indexOf('\n'); i != -1; i = data.indexOf('\n', i + 1)) {
+                count++;
+            }
+            // The extra entry marks where a line after the last would begin
+            this.lineStarts = new Uint32Array(count + 1);
+            let line = 1;
+            for(let i = data.indexOf('\n'); i != -1; i = data.indexOf('\n', i + 1)) {
+                this.lineStarts[line++] = i + 1;
+            }
+            this.lineStarts[count] = data.length + 1;
+        }
+        const lines = [];
+        first = Math.max(first, 1);
+        last  = Math.min(last, this.lineStarts.length - 1);
+        for(let i = first; i <= last; i++) {
+            lines.push(data.substring(this.lineStarts[i - 1], this.lineStarts[i] - 1).replace(/\r$/, ''));
+        }
+        return lines;
+    }
+}
+
+// Arcs are broken into segments no longer than this, in mm
+GCodeParser.arcSegmentLength = 1;
+
+// ...and which turn through no more than this angle, in radians
+GCodeParser.arcSegmentAngle  = Math.PI / 16;
+
+// The lengths, in mm, and feedrates, in mm/min, of firmware retracts,
+// as set by default in Marlin
+GCodeParser.firmwareRetract = {length: 3, feedrate: 2700, recoverFeedrate: 480};
+
+// Where G28 places each axis
+GCodeParser.homePosition = {X: 0, Y: 0, Z: 0};
+
+// The axes for the arc planes selected by G17, G18 and G19; arcs move
+// in the first two axes, with the third one moving linearly
+GCodeParser.planes = {
+    G17: {axes: ["X", "Y", "Z"], offsets: ["I", "J"]},
+    G18: {axes: ["Z", "X", "Y"], offsets: ["K", "I"]},
+    G19: {axes: ["Y", "Z", "X"], offsets: ["J", "K"]}
+};
+
+// Commands whose parameter is a string rather than letter words
+GCodeParser.textCommands = ["M23", "M28", "M30", "M32", "M117", "M118", "M928"];
+
+GCodeParser.epsilon = 1e-6;
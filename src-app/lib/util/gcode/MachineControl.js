@@ -0,0 +1,168 @@
+/**
+ *
+ * @licstart
+ *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU Affero
+ * General Public License (GNU AGPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU AGPL for more details.
+ *
+ * As additional permission under GNU AGPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU AGPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend
+ *
+ */
+
+/**
+ * The MachineControl returns the G-code for jogging, homing, extruding and
+ * the like from the printer console. It keeps track of the position once
+ * the axes have been homed, so that jogging stays within the build volume,
+ * and asks for the position with M114 after homing. Until an axis has been
+ * homed, it is jogged with relative moves which are not limited.
+ */
+class MachineControl {
+    /**
+     * The build volume is given as {min: {x, y, z}, max: {x, y, z}},
+     * as from "GCodeAnalyzer.buildVolumeFromSettings()"
+     */
+    constructor(volume) {
+        this.volume   = volume;
+        this.position = {x: null, y: null, z: null};
+        this.homing   = null;
+    }
+
+    isHomed() {
+        return ["x", "y", "z"].every(axis => this.position[axis] !== null);
+    }
+
+    // Homes the given axes, or all of them
+    home(axes = "") {
+        axes = axes.toUpperCase();
+        this.homing = (axes || "XYZ").toLowerCase().split("");
+        return [("G28 " + axes.split("").join(" ")).trim(), "M114"];
+    }
+
+    /**
+     * Reads the position from the reply to M114, after homing. Returns
+     * true if the line was the position.
+     */
+    receive(line) {
+        const m = line.match(/^X:\s*(-?[\d.]+)\s+Y:\s*(-?[\d.]+)\s+Z:\s*(-?[\d.]+)/);
+        if(!m || !this.homing) {
+            return false;
+        }
+        const reported = {x: parseFloat(m[1]), y: parseFloat(m[2]), z: parseFloat(m[3])};
+        for(const axis of this.homing) {
+            this.position[axis] = reported[axis];
+        }
+        this.homing = null;
+        return true;
+    }
+
+    /**
+     * Tells the MachineControl about a command typed into the console.
+     * Moves it cannot follow make it forget the position, and homing
+     * is followed by M114, which is returned.
+     */
+    typed(cmd) {
+        const m = cmd.trim().toUpperCase().match(/^([GM]\d+)(.*)/);
+        if(!m) {
+            return [];
+        }
+        if(m[1] == "G28") {
+            return this.home(m[2].replace(/[^XYZ]/g, "")).slice(1);
+        }
+        if(/^(G0|G1|G2|G3|G92|M18|M84)$/.test(m[1])) {
+            this.forget();
+        }
+        return [];
+    }
+
+    forget() {
+        this.position = {x: null, y: null, z: null};
+    }
+
+    // Moves an axis by a distance, staying within the build volume once homed
+    jog(axis, distance) {
+        axis = axis.toLowerCase();
+        const feedrate = axis == "z" ? MachineControl.feedrates.z : MachineControl.feedrates.xy;
+        const letter   = axis.toUpperCase();
+        if(this.position[axis] === null) {
+            return ["G91", "G0 " + letter + MachineControl.format(distance) + " F" + feedrate, "G90"];
+        }
+        const target = Math.min(Math.max(this.position[axis] + distance, this.volume.min[axis]), this.volume.max[axis]);
+        this.position[axis] = target;
+        return ["G90", "G0 " + letter + MachineControl.format(target) + " F" + feedrate];
+    }
+
+    // Extrudes a length of filament, or retracts it if negative
+    extrude(length) {
+        return ["M83", "G1 E" + MachineControl.format(length) + " F" + MachineControl.feedrates.e, "M82"];
+    }
+
+    // Sets the fan speed, in percent
+    fan(percent) {
+        const speed = Math.round(Math.min(Math.max(percent, 0), 100) * 255 / 100);
+        return [speed ? "M106 S" + speed : "M107"];
+    }
+
+    // Turns off the motors, which loses the position
+    motorsOff() {
+        this.forget();
+        return ["M84"];
+    }
+
+    /**
+     * Moves the nozzle down to the bed at one of "MachineControl.corners",
+     * for leveling the bed by hand. The axes must have been homed.
+     */
+    moveToCorner(corner) {
+        if(!this.isHomed()) {
+            throw Error("Home the printer before moving to the corners");
+        }
+        const [u, v] = MachineControl.corners[corner];
+        const {min, max} = this.volume;
+        const inset = axis => Math.min(MachineControl.cornerInset, (max[axis] - min[axis]) / 2);
+        const x = min.x + inset("x") + u * (max.x - min.x - 2 * inset("x"));
+        const y = min.y + inset("y") + v * (max.y - min.y - 2 * inset("y"));
+        const lift = Math.max(this.position.z, MachineControl.cornerLift);
+        this.position = {x, y, z: 0};
+        return [
+            "G90",
+            "G0 Z" + MachineControl.format(lift) + " F" + MachineControl.feedrates.z,
+            "G0 X" + MachineControl.format(x) + " Y" + MachineControl.format(y) + " F" + MachineControl.feedrates.xy,
+            "G0 Z0 F" + MachineControl.feedrates.z
+        ];
+    }
+
+    static format(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+}
+
+// The feedrates of the moves, in mm/min
+MachineControl.feedrates = {xy: 3000, z: 600, e: 300};
+
+// For leveling, how far in from the edges of the bed the corners are and
+// how high the nozzle is raised between them, in mm
+MachineControl.cornerInset = 30;
+MachineControl.cornerLift  = 5;
+
+// Where the corners are, as fractions of the bed from the front left
+MachineControl.corners = {
+    front_left:  [0,   0],
+    front_right: [1,   0],
+    back_left:   [0,   1],
+    back_right:  [1,   1],
+    center:      [0.5, 0.5]
+};
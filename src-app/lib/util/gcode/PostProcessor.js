@@ -0,0 +1,339 @@
+/**
+ *
+ * @licstart
+ *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU Affero
+ * General Public License (GNU AGPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU AGPL for more details.
+ *
+ * As additional permission under GNU AGPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU AGPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend
+ *
+ */
+
+/**
+ * The PostProcessor modifies sliced G-code by running it through a list
+ * of steps. Each step names one of the scripts in "PostProcessor.scripts"
+ * and holds the values of its parameters, for example:
+ *
+ *   {script: "pause", enabled: true, at: "layer", value: 10, ...}
+ *
+ * Layers are found from the ";LAYER:" comments which the slicer writes,
+ * and are numbered as in the G-code preview.
+ *
+ * The build volume, as given by "GCodeAnalyzer.buildVolumeFromSettings()",
+ * lets scripts which move the nozzle out of the way stay on the bed.
+ */
+class PostProcessor {
+    /**
+     * Runs the enabled steps in order and returns the modified G-code
+     */
+    static run(gcode, steps, buildVolume) {
+        steps = (steps || []).filter(step => step.enabled !== false);
+        if(!steps.length) {
+            return gcode;
+        }
+        let lines = gcode.split("\n");
+        for(const step of steps) {
+            const script = PostProcessor.scripts[step.script];
+            if(!script) {
+                throw Error("Unknown post-processing script: " + step.script);
+            }
+            lines = script.process(lines, Object.assign(PostProcessor.defaults(step.script), step), buildVolume);
+        }
+        return lines.join("\n");
+    }
+
+    /**
+     * Returns a new step for a script, with the default parameters
+     */
+    static defaults(name) {
+        const step = {script: name, enabled: true};
+        for(const [param, info] of Object.entries(PostProcessor.scripts[name].params)) {
+            step[param] = info.value;
+        }
+        return step;
+    }
+
+    /**
+     * Copies the lines, calling "callback(layer, state)" at the start of
+     * each layer and inserting the lines it returns after the ";LAYER:"
+     * comment. The state holds the height of the layer in "z", as well as
+     * where the nozzle is and whether extrusion is relative at that point.
+     */
+    static insertAtLayers(lines, callback) {
+        const layerRe = /^;LAYER:(-?\d+)/;
+        const moveRe  = /^G[0-3]\s/;
+        const wordRe  = {X: /\sX(-?\d*\.?\d+)/, Y: /\sY(-?\d*\.?\d+)/, Z: /\sZ(-?\d*\.?\d+)/};
+        const result  = [];
+        const state   = {x: 0, y: 0, z: 0, relativeE: false};
+        function word(line, letter) {
+            const m = line.match(wordRe[letter]);
+            return m ? parseFloat(m[1]) : undefined;
+        }
+        // Finds the height of the layer from the first move which sets Z
+        function layerHeight(start) {
+            for(let i = start; i < lines.length && !layerRe.test(lines[i]); i++) {
+                const z = moveRe.test(lines[i]) ? word(lines[i].split(";")[0], "Z") : undefined;
+                if(z !== undefined) {
+                    return z;
+                }
+            }
+            return state.z;
+        }
+        for(let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            result.push(line);
+            if(moveRe.test(line)) {
+                const code = line.split(";")[0];
+                const x = word(code, "X"), y = word(code, "Y"), z = word(code, "Z");
+                if(x !== undefined) state.x = x;
+                if(y !== undefined) state.y = y;
+                if(z !== undefined) state.z = z;
+            } else if(line.startsWith("M82") || line.startsWith("G90")) {
+                state.relativeE = false;
+            } else if(line.startsWith("M83") || line.startsWith("G91")) {
+                state.relativeE = true;
+            } else {
+                const m = line.match(layerRe);
+                if(m) {
+                    const inserted = callback(parseInt(m[1]), Object.assign({}, state, {z: layerHeight(i + 1)}));
+                    if(inserted) {
+                        result.push(...inserted);
+                    }
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Returns a callback for "insertAtLayers()" which returns the lines
+     * given by "gcode(state)" once, at the layer chosen by the "at" and
+     * "value" parameters of the step
+     */
+    static onceAt(step, gcode) {
+        let done = false;
+        return (layer, state) => {
+            const reached = step.at == "height" ? state.z >= step.value - PostProcessor.epsilon : layer == step.value;
+            if(reached && !done) {
+                done = true;
+                return gcode(state);
+            }
+        };
+    }
+
+    /**
+     * Returns a callback for "insertAtLayers()" which changes a setting
+     * in bands of a fixed height, as when printing a calibration tower
+     */
+    static towerBands(step, gcode) {
+        let lastBand;
+        return (layer, state) => {
+            if(state.z < step.start_height - PostProcessor.epsilon || step.band_height <= 0) {
+                return;
+            }
+            const band = Math.floor((state.z - step.start_height) / step.band_height + PostProcessor.epsilon);
+            if(band != lastBand) {
+                lastBand = band;
+                return gcode(step.start_value + band * step.step);
+            }
+        };
+    }
+
+    /**
+     * Embeds images in the header of the G-code, as the "; thumbnail begin"
+     * comment blocks which printers and print hosts show as previews. Each
+     * thumbnail is given as {width, height, png}, with the PNG base64-encoded.
+     * They go after the leading comments, so those which identify the slicer
+     * stay at the top of the file.
+     */
+    static addThumbnails(gcode, thumbnails) {
+        if(!thumbnails || !thumbnails.length) {
+            return gcode;
+        }
+        const lines = [];
+        for(const {width, height, png} of thumbnails) {
+            lines.push(";", "; thumbnail begin " + width + "x" + height + " " + png.length);
+            for(let i = 0; i < png.length; i += PostProcessor.thumbnailLineLength) {
+                lines.push("; " + png.substring(i, i + PostProcessor.thumbnailLineLength));
+            }
+            lines.push("; thumbnail end", ";");
+        }
+        const header = gcode.match(/^(?:;.*\r?\n)*/)[0];
+        return header + lines.join("\n") + "\n" + gcode.substring(header.length);
+    }
+
+    // Splits up multi-line G-code from a parameter
+    static gcodeLines(str) {
+        return str.replace(/\r/g, "").split("\n").filter(line => line.trim());
+    }
+}
+
+// Tolerance for comparing heights, in mm
+PostProcessor.epsilon = 0.001;
+
+// How many characters of base64 to put on each line of a thumbnail
+PostProcessor.thumbnailLineLength = 78;
+
+/**
+ * The built-in scripts. Each has a label, a description of its parameters
+ * for the user interface and a "process(lines, step, buildVolume)" function
+ * which returns the modified lines. The parameter types are "number", "text",
+ * "gcode" (multiple lines), "toggle" and "choice". A number which defaults
+ * to null may be left empty.
+ */
+PostProcessor.scripts = {
+    "pause": {
+        label: "Pause",
+        params: {
+            at:      {label: "Pause",                type: "choice", value: "layer", choices: {layer: "At layer", height: "At height"}},
+            value:   {label: "Layer or height",      type: "number", value: 1},
+            park_x:  {label: "Park X",               type: "number", value: null, units: "mm",
+                      tooltip: "If empty, the nozzle parks at the front left corner of the bed"},
+            park_y:  {label: "Park Y",               type: "number", value: null, units: "mm",
+                      tooltip: "If empty, the nozzle parks at the front left corner of the bed"},
+            lift:    {label: "Lift",                 type: "number", value: 5,   units: "mm"},
+            retract: {label: "Retraction",           type: "number", value: 1,   units: "mm"},
+            message: {label: "Message",              type: "text",   value: "Print paused"},
+            command: {label: "Pause command",        type: "text",   value: "M0"}
+        },
+        process(lines, step, buildVolume) {
+            // X0 Y0 is the middle of the bed on printers with the origin at the center
+            const corner = buildVolume ? buildVolume.min : {x: 0, y: 0};
+            const park_x = step.park_x === null ? corner.x : step.park_x;
+            const park_y = step.park_y === null ? corner.y : step.park_y;
+            return PostProcessor.insertAtLayers(lines, PostProcessor.onceAt(step, state => [
+                ";POSTPROCESSING:pause",
+                "M83",
+                "G1 E-" + step.retract + " F1500",
+                "G91",
+                "G1 Z" + step.lift + " F600",
+                "G90",
+                "G0 X" + park_x + " Y" + park_y + " F6000",
+                "M117 " + step.message,
+                step.command + " " + step.message,
+                "G0 X" + state.x + " Y" + state.y + " F6000",
+                "G91",
+                "G1 Z-" + step.lift + " F600",
+                "G90",
+                "M83", // G90 makes extrusion absolute on Marlin
+                "G1 E" + step.retract + " F1500",
+                state.relativeE ? "M83" : "M82"
+            ]));
+        }
+    },
+    "filament_change": {
+        label: "Filament change",
+        params: {
+            at:      {label: "Change",               type: "choice", value: "layer", choices: {layer: "At layer", height: "At height"}},
+            value:   {label: "Layer or height",      type: "number", value: 1},
+            command: {label: "Command",              type: "text",   value: "M600"}
+        },
+        process(lines, step) {
+            return PostProcessor.insertAtLayers(lines, PostProcessor.onceAt(step, state => [
+                ";POSTPROCESSING:filament_change",
+                step.command
+            ]));
+        }
+    },
+    "temperature_tower": {
+        label: "Temperature tower",
+        params: {
+            start_height: {label: "Starting height",      type: "number", value: 0,   units: "mm"},
+            band_height:  {label: "Band height",          type: "number", value: 10,  units: "mm"},
+            start_value:  {label: "Starting temperature", type: "number", value: 220, units: "\u00B0C"},
+            step:         {label: "Change per band",      type: "number", value: -5,  units: "\u00B0C"}
+        },
+        process(lines, step) {
+            return PostProcessor.insertAtLayers(lines, PostProcessor.towerBands(step, temp => [
+                "M104 S" + temp + " ;POSTPROCESSING:temperature_tower"
+            ]));
+        }
+    },
+    "speed_tower": {
+        label: "Speed tower",
+        params: {
+            start_height: {label: "Starting height",      type: "number", value: 0,   units: "mm"},
+            band_height:  {label: "Band height",          type: "number", value: 10,  units: "mm"},
+            start_value:  {label: "Starting speed",       type: "number", value: 100, units: "%"},
+            step:         {label: "Change per band",      type: "number", value: 10,  units: "%"}
+        },
+        process(lines, step) {
+            return PostProcessor.insertAtLayers(lines, PostProcessor.towerBands(step, percent => [
+                "M220 S" + percent + " ;POSTPROCESSING:speed_tower"
+            ]));
+        }
+    },
+    "search_replace": {
+        label: "Search and replace",
+        params: {
+            search:  {label: "Search for",           type: "text",   value: ""},
+            replace: {label: "Replace with",         type: "text",   value: ""},
+            regex:   {label: "Regular expression",   type: "toggle", value: false}
+        },
+        process(lines, step) {
+            if(!step.search) {
+                return lines;
+            }
+            // Each line is searched separately, so matches cannot span lines
+            if(step.regex) {
+                const re = new RegExp(step.search, "g");
+                return lines.map(line => line.replace(re, step.replace));
+            }
+            return lines.map(line => line.split(step.search).join(step.replace));
+        }
+    },
+    "layer_change": {
+        label: "G-code at layer change",
+        params: {
+            gcode:   {label: "G-code",               type: "gcode",  value: "",
+                      tooltip: "{layer} and {z} are replaced by the layer number and height"},
+            every:   {label: "Every",                type: "number", value: 1, units: "layers"}
+        },
+        process(lines, step) {
+            const gcode = PostProcessor.gcodeLines(step.gcode);
+            const every = Math.max(1, Math.round(step.every));
+            return PostProcessor.insertAtLayers(lines, (layer, state) => {
+                if(layer % every == 0) {
+                    return gcode.map(line => line.replace(/{layer}/g, layer).replace(/{z}/g, state.z));
+                }
+            });
+        }
+    },
+    "strip_comments": {
+        label: "Strip comments",
+        params: {
+            keep_preview: {label: "Keep layer and feature comments", type: "toggle", value: true,
+                           tooltip: "The G-code preview uses these to show layers and color features"}
+        },
+        process(lines, step) {
+            const keep = /^;(LAYER|TYPE):/;
+            const result = [];
+            for(const line of lines) {
+                if(step.keep_preview && keep.test(line)) {
+                    result.push(line);
+                    continue;
+                }
+                const semicolon = line.indexOf(";");
+                const code = (semicolon == -1 ? line : line.substring(0, semicolon)).trimEnd();
+                if(code) {
+                    result.push(code);
+                }
+            }
+            return result;
+        }
+    }
+};
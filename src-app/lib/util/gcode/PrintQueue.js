@@ -0,0 +1,111 @@
+/**
+ *
+ * @licstart
+ *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU Affero
+ * General Public License (GNU AGPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU AGPL for more details.
+ *
+ * As additional permission under GNU AGPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU AGPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend
+ *
+ */
+
+
+/**
+ * The PrintQueue holds the G-code files waiting to be printed over USB,
+ * in the order they are to be printed, along with a history of how each
+ * print ended. A job stays at the head of the queue until it completes,
+ * so that a failed or stopped print can be tried again.
+ */
+class PrintQueue {
+    /**
+     * The history, most recent first, may be passed in from an earlier
+     * session. Each entry is {name, status, started, finished, duration, error},
+     * where status is "completed", "failed" or "stopped", the times are as from
+     * "Date.now()" and the duration is in seconds.
+     */
+    constructor(history = []) {
+        this.jobs    = [];
+        this.history = history;
+        this.nextId  = 1;
+    }
+
+    // Adds G-code to the end of the queue, returning the job as {id, name, gcode}
+    add(name, gcode) {
+        const job = {id: this.nextId++, name, gcode};
+        this.jobs.push(job);
+        return job;
+    }
+
+    remove(index) {
+        this.jobs.splice(index, 1);
+    }
+
+    // Moves a job up (a negative offset) or down the queue
+    move(index, offset) {
+        if(index + offset >= 0 && index + offset < this.jobs.length) {
+            this.jobs.splice(index + offset, 0, this.jobs.splice(index, 1)[0]);
+        }
+    }
+
+    // Returns the job to be printed next, or undefined if the queue is empty
+    get next() {
+        return this.jobs[0];
+    }
+
+    /**
+     * Records how a job ended in the history. A completed job is taken
+     * off the queue, while any other is left where it is.
+     */
+    finish(job, status, started, finished, error) {
+        this.history.unshift({
+            name:     job.name,
+            status:   status,
+            started:  started,
+            finished: finished,
+            duration: (finished - started) / 1000,
+            error:    error || ""
+        });
+        this.history.splice(PrintQueue.maxHistory);
+        if(status == "completed") {
+            this.jobs = this.jobs.filter(j => j !== job);
+        }
+    }
+
+    clearHistory() {
+        this.history = [];
+    }
+
+    // Returns the number of jobs in the history with each status and the total time spent printing, in seconds
+    summarize() {
+        const summary = {completed: 0, failed: 0, stopped: 0, duration: 0};
+        for(const entry of this.history) {
+            summary[entry.status]++;
+            summary.duration += entry.duration;
+        }
+        return summary;
+    }
+}
+
+// How many finished jobs to remember
+PrintQueue.maxHistory = 50;
+
+// How each status is shown in the history
+PrintQueue.statusLabels = {
+    completed: "Completed",
+    failed:    "Failed",
+    stopped:   "Stopped"
+};
@@ -0,0 +1,335 @@
+/**
+ *
+ * @licstart
+ *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU Affero
+ * General Public License (GNU AGPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU AGPL for more details.
+ *
+ * As additional permission under GNU AGPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU AGPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend
+ *
+ */
+
+/**
+ * The PrintTimeEstimator works out how long each move takes, using the
+ * acceleration, jerk and maximum feedrate limits of the printer. Like
+ * Marlin's planner, it slows down for corners and ramps speeds up and
+ * down with trapezoidal velocity profiles. Limits set in the G-code by
+ * M201, M203, M204 and M205 take effect from that point on, and corners
+ * are taken using junction deviation once M205 J sets it.
+ */
+class PrintTimeEstimator {
+    /**
+     * limits - Any of the properties of "PrintTimeEstimator.defaultLimits"
+     */
+    constructor(limits) {
+        this.limits = Object.assign({}, PrintTimeEstimator.defaultLimits, limits);
+    }
+
+    /**
+     * Reads the limits from the machine settings, given a function
+     * which returns the value of a slicer setting. Settings which the
+     * slicer does not have are left at their defaults.
+     */
+    static limitsFromSettings(get) {
+        const defaults = PrintTimeEstimator.defaultLimits;
+        function value(name, fallback) {
+            const v = parseFloat(get(name));
+            return isNaN(v) ? fallback : v;
+        }
+        function perAxis(limits, x, y, z, e) {
+            return {X: value(x, limits.X), Y: value(y, limits.Y), Z: value(z, limits.Z), E: value(e, limits.E)};
+        }
+        return {
+            acceleration:    value("machine_acceleration", defaults.acceleration),
+            maxAcceleration: perAxis(defaults.maxAcceleration, "machine_max_acceleration_x", "machine_max_acceleration_y",
+                                                               "machine_max_acceleration_z", "machine_max_acceleration_e"),
+            maxFeedrate:     perAxis(defaults.maxFeedrate,     "machine_max_feedrate_x",     "machine_max_feedrate_y",
+                                                               "machine_max_feedrate_z",     "machine_max_feedrate_e"),
+            jerk:            perAxis(defaults.jerk,            "machine_max_jerk_xy",        "machine_max_jerk_xy",
+                                                               "machine_max_jerk_z",         "machine_max_jerk_e"),
+            minimumFeedrate: value("machine_minimum_feedrate", defaults.minimumFeedrate)
+        };
+    }
+
+    /**
+     * Estimates the time of each move reported by a GCodeParser. Returns:
+     *
+     *   total  - The time of the whole print, in seconds
+     *   times  - For each move, the time at which it ends
+     *   layers - For each layer, the line on which it starts, the time
+     *            at which it starts and how long it takes
+     *
+     * Layers start at the ";LAYER:" comments or, in files without them,
+     * at each extruding move to a new height.
+     */
+    estimate(gcode_parser) {
+        const moves  = []; // The change in X, Y, Z and E and the feedrate of each move
+        const dwell  = new Map(); // Pauses before a move, in seconds
+        const limitChanges = new Map(); // Limits which take effect from a move on
+        const layers = [];
+        let limits = this.limits;
+        let x = 0, y = 0, z = 0, e = 0;
+        let speedFactor = 1, hasLayerComments = false, layerZ;
+
+        // Returns a copy of the limits, to be changed from the next move on
+        function changeLimits() {
+            if(limitChanges.get(moves.length / 5) !== limits) {
+                limits = Object.assign({}, limits, {
+                    maxAcceleration: Object.assign({}, limits.maxAcceleration),
+                    maxFeedrate:     Object.assign({}, limits.maxFeedrate),
+                    jerk:            Object.assign({}, limits.jerk)
+                });
+                limitChanges.set(moves.length / 5, limits);
+            }
+            return limits;
+        }
+
+        function setAxes(list, params) {
+            for(const axis of ["X", "Y", "Z", "E"]) {
+                if(params[axis] != null) {
+                    list[axis] = params[axis];
+                }
+            }
+        }
+
+        function startLayer(line) {
+            layers.push({line, move: moves.length / 5});
+        }
+
+        gcode_parser.parse({
+            motion: (this_x, this_y, this_z, this_e, feedrate, line) => {
+                if(!hasLayerComments && this_e > e && this_z != layerZ) {
+                    layerZ = this_z;
+                    startLayer(line);
+                }
+                moves.push(this_x - x, this_y - y, this_z - z, this_e - e, feedrate * speedFactor);
+                x = this_x; y = this_y; z = this_z; e = this_e;
+            },
+            setPosition: (axis, value) => {
+                switch(axis) {
+                    case "X": x = value; break;
+                    case "Y": y = value; break;
+                    case "Z": z = value; break;
+                    case "E": e = value; break;
+                }
+            },
+            comment: (key, value, line) => {
+                if(key == "LAYER") {
+                    if(!hasLayerComments) {
+                        // Any layers found from the heights of moves are replaced
+                        hasLayerComments = true;
+                        layers.length = 0;
+                    }
+                    startLayer(line);
+                }
+            },
+            command: (code, params) => {
+                switch(code) {
+                    case "G4": {
+                        const index = moves.length / 5;
+                        const time  = params.S ? params.S : (params.P || 0) / 1000;
+                        dwell.set(index, (dwell.get(index) || 0) + time);
+                        break;
+                    }
+                    case "M201": setAxes(changeLimits().maxAcceleration, params); break;
+                    case "M203": setAxes(changeLimits().maxFeedrate,     params); break;
+                    case "M204": {
+                        const changed = changeLimits();
+                        if(params.S != null) changed.acceleration = changed.travelAcceleration = params.S;
+                        if(params.P != null) changed.acceleration        = params.P;
+                        if(params.T != null) changed.travelAcceleration  = params.T;
+                        if(params.R != null) changed.retractAcceleration = params.R;
+                        break;
+                    }
+                    case "M205": {
+                        const changed = changeLimits();
+                        setAxes(changed.jerk, params);
+                        if(params.J != null) changed.junctionDeviation     = params.J;
+                        if(params.S != null) changed.minimumFeedrate       = params.S;
+                        if(params.T != null) changed.minimumTravelFeedrate = params.T;
+                        break;
+                    }
+                    case "M220":
+                        if(params.S != null) {
+                            speedFactor = params.S / 100;
+                        }
+                        break;
+                }
+            }
+        });
+        const result = this._plan(moves, dwell, limitChanges);
+
+        // Work out when each layer starts and how long it takes
+        result.layers = layers.map(({line, move}) => ({line, start: move > 0 ? result.times[move - 1] : 0}));
+        result.layers.forEach((layer, i) => {
+            const next = result.layers[i + 1];
+            layer.time = (next ? next.start : result.total) - layer.start;
+        });
+        return result;
+    }
+
+    _plan(moves, dwell, limitChanges = new Map()) {
+        const axes     = ["X", "Y", "Z", "E"];
+        const n        = moves.length / 5;
+        const length   = new Float64Array(n);
+        const nominal  = new Float64Array(n);
+        const accel    = new Float64Array(n);
+        const entry    = new Float64Array(n);
+        const unit     = [0, 0, 0, 0];
+        const lastUnit = [0, 0, 0, 0];
+        let limits     = this.limits;
+        let lastSpeed  = 0;
+        let lastXYZ    = 0;
+
+        // Work out the speed, acceleration and fastest entry speed for each move
+        for(let i = 0; i < n; i++) {
+            limits = limitChanges.get(i) || limits;
+            const xyz  = Math.hypot(moves[i * 5], moves[i * 5 + 1], moves[i * 5 + 2]);
+            const de   = moves[i * 5 + 3];
+            const dist = xyz > 0 ? xyz : Math.abs(de); // Moves of the extruder alone
+            if(dist == 0) {
+                continue;
+            }
+            // Like Marlin, use the travel limits for moves which do not use the extruder,
+            // and the retraction acceleration for moves of the extruder alone
+            const minFeedrate = de != 0 ? limits.minimumFeedrate : limits.minimumTravelFeedrate;
+            let speed = Math.max((moves[i * 5 + 4] || PrintTimeEstimator.initialFeedrate * 60) / 60, minFeedrate);
+            let a     = xyz == 0 ? limits.retractAcceleration || limits.acceleration :
+                        de  != 0 ? limits.acceleration : limits.travelAcceleration || limits.acceleration;
+            axes.forEach((axis, j) => {
+                unit[j] = moves[i * 5 + j] / dist;
+                if(unit[j] != 0) {
+                    speed = Math.min(speed, limits.maxFeedrate[axis]     / Math.abs(unit[j]));
+                    a     = Math.min(a,     limits.maxAcceleration[axis] / Math.abs(unit[j]));
+                }
+            });
+
+            const fromRest = lastSpeed == 0 || dwell.has(i);
+            let junction;
+            if(limits.junctionDeviation > 0) {
+                junction = fromRest || xyz == 0 || lastXYZ == 0 ? 0 :
+                    PrintTimeEstimator.junctionDeviationSpeed(lastUnit, unit, a, limits.junctionDeviation);
+                junction = Math.min(junction, speed, lastSpeed);
+            } else {
+                // The jerk limits how abruptly the speed of each axis can change
+                // at the start of the move, whether from rest or from the last move
+                junction = fromRest ? speed : Math.min(speed, lastSpeed);
+                axes.forEach((axis, j) => {
+                    const change = Math.abs(unit[j] - (fromRest ? 0 : lastUnit[j])) * junction;
+                    if(change > limits.jerk[axis]) {
+                        junction *= limits.jerk[axis] / change;
+                    }
+                });
+            }
+
+            length[i]  = dist;
+            nominal[i] = speed;
+            accel[i]   = a;
+            entry[i]   = junction;
+            lastSpeed  = speed;
+            lastXYZ    = xyz;
+            unit.forEach((u, j) => lastUnit[j] = u);
+        }
+
+        // Lower the entry speeds so that each move can slow down for the
+        // next one, and the last one comes to a stop
+        let next = 0;
+        for(let i = n - 1; i >= 0; i--) {
+            if(length[i]) {
+                entry[i] = Math.min(entry[i], Math.sqrt(next * next + 2 * accel[i] * length[i]));
+                next = entry[i];
+            }
+        }
+
+        // Lower the entry speeds to what can be reached from the previous move
+        let prev = -1;
+        for(let i = 0; i < n; i++) {
+            if(length[i]) {
+                if(prev != -1) {
+                    entry[i] = Math.min(entry[i], Math.sqrt(entry[prev] * entry[prev] + 2 * accel[prev] * length[prev]));
+                }
+                prev = i;
+            }
+        }
+
+        // Add up the time of the moves
+        const times = new Float64Array(n);
+        let exit = 0;
+        for(let i = n - 1; i >= 0; i--) {
+            if(length[i]) {
+                times[i] = PrintTimeEstimator.trapezoidTime(length[i], entry[i], exit, nominal[i], accel[i]);
+                exit = entry[i];
+            }
+        }
+        let total = 0;
+        for(let i = 0; i < n; i++) {
+            total += (dwell.get(i) || 0) + times[i];
+            times[i] = total;
+        }
+        total += dwell.get(n) || 0;
+        return {total, times};
+    }
+
+    /**
+     * Returns the time for a move which speeds up from the entry speed
+     * to the nominal speed, then slows down to the exit speed. Moves which
+     * are too short to reach the nominal speed have a triangular profile.
+     */
+    static trapezoidTime(length, entry, exit, nominal, accel) {
+        const accelDist = (nominal * nominal - entry * entry) / (2 * accel);
+        const decelDist = (nominal * nominal - exit  * exit)  / (2 * accel);
+        if(accelDist + decelDist <= length) {
+            return (nominal - entry) / accel + (nominal - exit) / accel + (length - accelDist - decelDist) / nominal;
+        }
+        const peak = Math.sqrt((2 * accel * length + entry * entry + exit * exit) / 2);
+        return (peak - entry) / accel + (peak - exit) / accel;
+    }
+
+    /**
+     * Returns the fastest speed at which the nozzle can go from one move
+     * to the next, given their unit vectors, using Marlin's junction
+     * deviation. This treats the corner as an arc which the nozzle
+     * follows without exceeding the acceleration.
+     */
+    static junctionDeviationSpeed(from, to, accel, deviation) {
+        const cosTheta = -(from[0] * to[0] + from[1] * to[1] + from[2] * to[2]);
+        if(cosTheta > 0.999999) {
+            return 0; // The nozzle doubles back on itself
+        }
+        const sinHalfTheta = Math.sqrt(0.5 * (1 - Math.max(cosTheta, -0.999999)));
+        return Math.sqrt(accel * deviation * sinHalfTheta / (1 - sinHalfTheta));
+    }
+}
+
+// Defaults from Cura's "fdmprinter" definition, in mm/s and mm/s². Moves
+// which travel or retract use the printing acceleration unless they have
+// their own, and corners are limited by the jerk unless the junction
+// deviation, in mm, is set.
+PrintTimeEstimator.defaultLimits = {
+    acceleration:          4000,
+    travelAcceleration:    null,
+    retractAcceleration:   null,
+    maxAcceleration:       {X: 9000, Y: 9000, Z: 100, E: 10000},
+    maxFeedrate:           {X: 299792458000, Y: 299792458000, Z: 299792458000, E: 299792458000},
+    jerk:                  {X: 20, Y: 20, Z: 0.4, E: 5},
+    junctionDeviation:     0,
+    minimumFeedrate:       0,
+    minimumTravelFeedrate: 0
+};
+
+// Marlin's feedrate until the G-code sets one, in mm/s
+PrintTimeEstimator.initialFeedrate = 25;
@@ -0,0 +1,186 @@
+/**
+ *
+ * @licstart
+ *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU Affero
+ * General Public License (GNU AGPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU AGPL for more details.
+ *
+ * As additional permission under GNU AGPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU AGPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend
+ *
+ */
+
+/**
+ * The PrinterConsole keeps the history of commands typed into the printer
+ * console, suggests completions for a partly typed command, picks out
+ * the replies from the printer which are not worth showing and reads the
+ * temperatures which the printer reports.
+ */
+class PrinterConsole {
+    constructor() {
+        this.history  = [];
+        this.position = 0;
+        this.draft    = "";
+    }
+
+    /**
+     * Adds a command to the end of the history, unless it repeats the
+     * last one, and goes back to the end
+     */
+    add(cmd) {
+        cmd = cmd.trim();
+        if(cmd && cmd != this.history[this.history.length - 1]) {
+            this.history.push(cmd);
+            if(this.history.length > PrinterConsole.maxHistory) {
+                this.history.shift();
+            }
+        }
+        this.position = this.history.length;
+        this.draft    = "";
+    }
+
+    /**
+     * Returns the command before the one shown, as for the up arrow. What
+     * is being typed is kept, so that "next()" can return to it.
+     */
+    previous(current) {
+        if(this.position == this.history.length) {
+            this.draft = current;
+        }
+        this.position = Math.max(this.position - 1, 0);
+        return this.history.length ? this.history[this.position] : current;
+    }
+
+    // Returns the command after the one shown, as for the down arrow
+    next() {
+        this.position = Math.min(this.position + 1, this.history.length);
+        return this.position < this.history.length ? this.history[this.position] : this.draft;
+    }
+
+    /**
+     * Returns the commands which begin with what has been typed, as a list
+     * of {value, label}. Commands from the history come first, most recent
+     * first, followed by the common codes in "PrinterConsole.commonCodes".
+     */
+    completions(prefix) {
+        prefix = prefix.trim().toUpperCase();
+        if(!prefix) {
+            return [];
+        }
+        const result = [];
+        const seen   = new Set();
+        for(let i = this.history.length - 1; i >= 0; i--) {
+            const cmd = this.history[i];
+            if(cmd.toUpperCase().startsWith(prefix) && !seen.has(cmd)) {
+                seen.add(cmd);
+                result.push({value: cmd, label: PrinterConsole.describe(cmd)});
+            }
+        }
+        for(const [code, label] of Object.entries(PrinterConsole.commonCodes)) {
+            if(code.startsWith(prefix) && !seen.has(code)) {
+                result.push({value: code, label});
+            }
+        }
+        return result.slice(0, PrinterConsole.maxCompletions);
+    }
+
+    // Returns the description of the code in a command, if it is a common one
+    static describe(cmd) {
+        const code = cmd.trim().split(/\s/)[0].toUpperCase();
+        return PrinterConsole.commonCodes[code] || "";
+    }
+
+    // Returns true if a line from the printer reports the temperatures
+    static isTemperatureReport(line) {
+        return /^(ok\s+)?T\d*:\s*-?[\d.]+/.test(line);
+    }
+
+    /**
+     * Returns the temperatures from a report such as "ok T:200.0 /210.0 B:60.0 /60.0",
+     * as {hotend, bed, chamber}, each {actual, target} if reported, or null if
+     * the line is not a report. The hotend is "T", or "T0" if there is no "T".
+     */
+    static parseTemperatures(line) {
+        if(!PrinterConsole.isTemperatureReport(line)) {
+            return null;
+        }
+        const heaters = {};
+        for(const [, name, actual, target] of line.matchAll(/\b(T\d*|B|C):\s*(-?[\d.]+)(?:\s*\/\s*(-?[\d.]+))?/g)) {
+            if(!(name in heaters)) {
+                heaters[name] = {actual: parseFloat(actual), target: target === undefined ? null : parseFloat(target)};
+            }
+        }
+        return {
+            hotend:  heaters.T || heaters.T0,
+            bed:     heaters.B,
+            chamber: heaters.C
+        };
+    }
+
+    /**
+     * Returns true if a line from the printer is noise, which is an "ok",
+     * a "busy" message or, unless "showTemperatures" is set, a report
+     * of the temperatures
+     */
+    static isNoise(line, showTemperatures = false) {
+        if(PrinterConsole.isTemperatureReport(line)) {
+            return !showTemperatures;
+        }
+        return /^ok\b/.test(line) || /^echo:\s*busy:/.test(line) || line == "wait";
+    }
+}
+
+// How many commands to remember
+PrinterConsole.maxHistory = 100;
+
+// How many completions to suggest
+PrinterConsole.maxCompletions = 20;
+
+// The codes which are suggested as commands are typed, with their descriptions
+PrinterConsole.commonCodes = {
+    "G0":   "Travel move",
+    "G1":   "Linear move",
+    "G28":  "Home",
+    "G29":  "Bed leveling",
+    "G90":  "Absolute positioning",
+    "G91":  "Relative positioning",
+    "G92":  "Set position",
+    "M17":  "Enable steppers",
+    "M18":  "Disable steppers",
+    "M20":  "List SD card",
+    "M104": "Set hotend temperature",
+    "M105": "Report temperatures",
+    "M106": "Set fan speed",
+    "M107": "Fan off",
+    "M109": "Wait for hotend temperature",
+    "M114": "Report position",
+    "M115": "Firmware info",
+    "M119": "Endstop states",
+    "M140": "Set bed temperature",
+    "M155": "Temperature auto-report",
+    "M190": "Wait for bed temperature",
+    "M211": "Software endstops",
+    "M220": "Set feedrate percentage",
+    "M221": "Set flow percentage",
+    "M301": "Set hotend PID",
+    "M303": "PID autotune",
+    "M420": "Bed leveling state",
+    "M500": "Save settings",
+    "M501": "Restore settings",
+    "M502": "Factory reset",
+    "M503": "Report settings",
+    "M851": "Z probe offset"
+};
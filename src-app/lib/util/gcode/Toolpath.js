@@ -25,25 +25,46 @@
  */
 
 class Toolpath extends THREE.Object3D {
-    constructor(gcode_path) {
+    /**
+     * options.filamentDiameter - Used to work out the volumetric flow and
+     *                            extrusion width, in mm
+     * options.moveTimes        - Optional; the time at which each move ends, from
+     *                            "PrintTimeEstimator.estimate()", so that the layer
+     *                            times agree with the estimate. Otherwise, moves are
+     *                            taken to run at the feedrate throughout.
+     */
+    constructor(gcode_path, options = {}) {
         super();
         
+        this.filamentDiameter = options.filamentDiameter || 1.75;
+        this.moveTimes        = options.moveTimes || null;
         this.geometry = new THREE.BufferGeometry();
         this.loadGCodePath(gcode_path);
+        this.lineSegmentColorValue = new Float32Array(this.nSegments*2); // 2 float per segment
         this.geometry.setAttribute( 'position',   new THREE.BufferAttribute(this.lineSegmentEnds,       3));
         this.geometry.setAttribute( 'normal',     new THREE.BufferAttribute(this.lineSegmentNormal,     3));
         this.geometry.setAttribute( 'colorIndex', new THREE.BufferAttribute(this.lineSegmentColorIndex, 1));
+        this.geometry.setAttribute( 'colorValue', new THREE.BufferAttribute(this.lineSegmentColorValue, 1));
         this.lines = new THREE.LineSegments( this.geometry, this.getShaderMaterial() );
         this.add(this.lines);
+        this.drawnSegments = this.nSegments;
+        this.setColorMode(Toolpath.colorMode);
+        this.setRenderMode(Toolpath.renderMode);
     }
 
     loadGCodePath(gcode_parser) {
         this.nSegments = 0;
         this.nLayers   = 0;
         
+        let hasLayerComments = false;
         gcode_parser.parse({
             motion:  (x, y, z, e) => this.nSegments++,
-            comment: (key, value) => {if(key == "LAYER") this.nLayers = Math.max(this.nLayers, parseInt(value))}
+            comment: (key, value) => {
+                if(key == "LAYER") {
+                    this.nLayers = Math.max(this.nLayers, parseInt(value));
+                    hasLayerComments = true;
+                }
+            }
         });
 
         this.lineSegmentEnds       = new Float32Array(this.nSegments*6); // 6 floats per segment
@@ -52,26 +73,62 @@ class Toolpath extends THREE.Object3D {
         
         this.layerEnd              = new Uint32Array(this.nLayers+1);
 
+        // Values for coloring the toolpath by something other than the feature type
+        this.segmentValues = {};
+        Object.keys(Toolpath.colorModes).filter(mode => mode != "type").forEach(
+            mode => this.segmentValues[mode] = new Float32Array(this.nSegments)
+        );
+        this.segmentIsExtruding = new Uint8Array(this.nSegments);
+        this.segmentLine        = new Uint32Array(this.nSegments); // Line number in the G-code
+        if(this.canShowTubes) {
+            this.segmentSize    = new Float32Array(this.nSegments*2); // Width and height of the bead
+        }
+        const values       = this.segmentValues;
+        const segmentLayer = new Uint32Array(this.nSegments);
+        const layerTimes   = [0];
+        const filamentArea = Math.PI * Math.pow(this.filamentDiameter / 2, 2);
+        const temperatures = [];
+        let tool = 0, fan = 0, layerZ;
+        let extrusionZ, layerHeight = Toolpath.defaultLayerHeight;
+
         var i = 0;
         var last_x, last_y, last_z, last_e;
         var typeColorIndex   = Toolpath.typeList.indexOf("DEFAULT");
         var travelColorIndex = Toolpath.typeList.indexOf("TRAVEL");
         gcode_parser.parse({
+            command:
+                (code, params) => {
+                    switch(code) {
+                        case "M104":
+                        case "M109":
+                            if(params.S != null) {
+                                temperatures[params.T == null ? tool : params.T] = params.S;
+                            }
+                            break;
+                        case "M106": fan = (params.S == null ? 255 : params.S) / 255 * 100; break;
+                        case "M107": fan = 0; break;
+                        default:
+                            if(code[0] == "T") {
+                                tool = parseInt(code.substring(1)) || 0;
+                            }
+                    }
+                },
             comment:
                 (key, value) => {
                     if(key == "TYPE") {
                         if(!Toolpath.colorMap.hasOwnProperty(value)) {
-                            key = "DEFAULT";
                             console.log("Warning: Unknown gcode type:", value);
+                            value = "DEFAULT";
                         }
                         typeColorIndex = Toolpath.typeList.indexOf(value);
                     }
                     if(key == "LAYER") {
                         this.layerEnd[parseInt(value)] = i;
+                        layerTimes.push(0);
                     }
                 },
             motion:
-                (this_x, this_y, this_z, this_e) =>
+                (this_x, this_y, this_z, this_e, feedrate, line) =>
                 {
                     // Initial condition
                     if(i == 0) {
@@ -102,6 +159,46 @@ class Toolpath extends THREE.Object3D {
 
                     this.lineSegmentColorIndex[i*2 + 0] = colorIndex / Toolpath.numColors;
                     this.lineSegmentColorIndex[i*2 + 1] = colorIndex / Toolpath.numColors;
+
+                    // Files without layer comments start a new layer whenever the height changes
+                    if(isExtruding && !hasLayerComments && this_z != layerZ) {
+                        if(layerZ !== undefined) {
+                            layerTimes.push(0);
+                        }
+                        layerZ = this_z;
+                    }
+
+                    // Moves of the extruder alone take place at the feedrate of the extruder
+                    const length = Math.hypot(this_x - last_x, this_y - last_y, this_z - last_z);
+                    const time   = feedrate > 0 ? Math.max(length, Math.abs(this_e - last_e)) / (feedrate / 60) : 0;
+                    const times  = this.moveTimes;
+                    layerTimes[layerTimes.length - 1] += times ? times[i] - (i > 0 ? times[i - 1] : 0) : time;
+                    segmentLayer[i] = layerTimes.length - 1;
+
+                    this.segmentIsExtruding[i] = isExtruding && length > 0;
+                    if(this.segmentSize && this.segmentIsExtruding[i]) {
+                        // The layer height is how far the nozzle rose since the last layer, ignoring
+                        // the small changes made while printing a spiral
+                        if(extrusionZ === undefined) {
+                            layerHeight = this_z > 0 ? this_z : layerHeight;
+                        } else if(this_z - extrusionZ >= Toolpath.minLayerHeight) {
+                            layerHeight = this_z - extrusionZ;
+                        }
+                        if(extrusionZ === undefined || Math.abs(this_z - extrusionZ) >= Toolpath.minLayerHeight) {
+                            extrusionZ = this_z;
+                        }
+                        // Like Slic3r, take the bead to be a rectangle with semicircular sides
+                        const area  = (this_e - last_e) * filamentArea / length;
+                        const width = area / layerHeight + layerHeight * (1 - Math.PI / 4);
+                        this.segmentSize[i*2 + 0] = Math.min(width, Toolpath.maxExtrusionWidth);
+                        this.segmentSize[i*2 + 1] = layerHeight;
+                    }
+                    values.feedrate[i]    = feedrate / 60;
+                    values.flow[i]        = time > 0 ? (this_e - last_e) * filamentArea / time : 0;
+                    values.temperature[i] = temperatures[tool] === undefined ? NaN : temperatures[tool];
+                    values.fan[i]         = fan;
+                    values.extruder[i]    = tool;
+                    this.segmentLine[i]   = line;
                     i++;
                     
                     last_x = this_x;
@@ -119,6 +216,105 @@ class Toolpath extends THREE.Object3D {
                     }
                 }
         });
+
+        for(let i = 0; i < this.nSegments; i++) {
+            values.layerTime[i] = layerTimes[segmentLayer[i]];
+        }
+        this.colorRanges = {};
+    }
+
+    /**
+     * Returns the lowest and highest values for a color mode, taken from
+     * the extruding segments only
+     */
+    getColorRange(mode) {
+        if(!this.colorRanges[mode]) {
+            const values = this.segmentValues[mode];
+            let min = Infinity, max = -Infinity;
+            for(let i = 0; i < this.nSegments; i++) {
+                if(this.segmentIsExtruding[i] && !isNaN(values[i])) {
+                    min = Math.min(min, values[i]);
+                    max = Math.max(max, values[i]);
+                }
+            }
+            this.colorRanges[mode] = min <= max ? {min, max} : {min: 0, max: 0};
+        }
+        return this.colorRanges[mode];
+    }
+
+    /**
+     * Selects what the colors of the extruding segments represent. The mode
+     * is one of the keys of "Toolpath.colorModes". Travel moves are always
+     * colored as such.
+     */
+    setColorMode(mode) {
+        Toolpath.colorMode = mode;
+        const values  = this.segmentValues[mode];
+        const palette = mode == "extruder" ? Toolpath.extruderColors : Toolpath.gradientColors;
+        const range   = values && this.getColorRange(mode);
+        for(let i = 0; i < this.nSegments; i++) {
+            let value = -1; // Use the color for the feature type
+            if(values && this.segmentIsExtruding[i] && !isNaN(values[i])) {
+                let t;
+                if(mode == "extruder") {
+                    t = values[i] % palette.length;
+                } else {
+                    t = range.max > range.min ? (values[i] - range.min) / (range.max - range.min) : 0.5;
+                    t = Math.min(Math.max(t, 0), 1) * (palette.length - 1);
+                }
+                value = (t + 0.5) / palette.length;
+            }
+            this.lineSegmentColorValue[i*2 + 0] = value;
+            this.lineSegmentColorValue[i*2 + 1] = value;
+        }
+        this.geometry.getAttribute('colorValue').needsUpdate = true;
+        if(this.tubeGeometries) {
+            this.tubeGeometries.detailed.getAttribute('colorValue').data.needsUpdate = true;
+        }
+
+        const shader = this.getShaderMaterial();
+        if(shader.uniforms.gradientMap.value) {
+            shader.uniforms.gradientMap.value.dispose();
+        }
+        shader.uniforms.gradientMap.value = Toolpath.getPaletteTexture(palette);
+        shader.uniforms.useGradient.value = values !== undefined;
+    }
+
+    // Returns a feature type such as "WALL-OUTER" as "Wall outer"
+    static typeLabel(name) {
+        return name.charAt(0) + name.slice(1).toLowerCase().replace(/-/g, " ");
+    }
+
+    /**
+     * Describes the colors in use, for displaying a legend. Returns either
+     * a list of labeled colors, or the range of a gradient.
+     */
+    getLegend() {
+        const mode = Toolpath.colorMode;
+        const info = Toolpath.colorModes[mode];
+        switch(mode) {
+            case "type":
+                return {
+                    entries: Toolpath.typeList.map(name => ({
+                        label: Toolpath.typeLabel(name),
+                        color: Toolpath.colorMap[name]
+                    }))
+                };
+            case "extruder": {
+                const tools = new Set();
+                for(let i = 0; i < this.nSegments; i++) {
+                    if(this.segmentIsExtruding[i]) tools.add(this.segmentValues.extruder[i]);
+                }
+                return {
+                    entries: Array.from(tools).sort((a, b) => a - b).map(tool => ({
+                        label: "Extruder " + (tool + 1),
+                        color: Toolpath.extruderColors[tool % Toolpath.extruderColors.length]
+                    }))
+                };
+            }
+            default:
+                return {...this.getColorRange(mode), units: info.units, gradient: Toolpath.gradientColors};
+        }
     }
 
     getShaderTexture() {
@@ -150,13 +346,37 @@ class Toolpath extends THREE.Object3D {
                     lightDirection:   {value: new THREE.Vector3(1,-1,1).normalize()},
                     ambient:          {value: 0.4},
                     diffuse:          {value: 0.7},
-                    colorMap:         {value: this.getShaderTexture()}
+                    colorMap:         {value: this.getShaderTexture()},
+                    gradientMap:      {value: null},
+                    useGradient:      {value: false},
+                    travelOnly:       {value: false},
+                    travelIndex:      {value: Toolpath.typeList.indexOf("TRAVEL") / Toolpath.numColors}
                 },
                 transparent: true
             });
         }
         return Toolpath.shader;
     }
+
+    getTubeShaderMaterial() {
+        if(!Toolpath.tubeShader) {
+            // Share the uniforms, so that the colors always match those of the lines
+            const uniforms = this.getShaderMaterial().uniforms;
+            Toolpath.tubeShader = new THREE.ShaderMaterial( {
+                vertexShader:   Toolpath.tubeVertexShader,
+                fragmentShader: Toolpath.fragmentShader,
+                uniforms: {
+                    lightDirection:   uniforms.lightDirection,
+                    ambient:          uniforms.ambient,
+                    diffuse:          uniforms.diffuse,
+                    colorMap:         uniforms.colorMap,
+                    gradientMap:      uniforms.gradientMap,
+                    useGradient:      uniforms.useGradient
+                }
+            });
+        }
+        return Toolpath.tubeShader;
+    }
     
     /**
      * Enable or disables a particular layer
@@ -176,12 +396,206 @@ class Toolpath extends THREE.Object3D {
         return Toolpath.layerVisibility.some(x => x);
     }
 
+    /**
+     * Selects how extrusions are drawn, either as "lines" or as "tubes"
+     * sized by the extrusion width and layer height. Travel moves are
+     * always drawn as lines. Files with more segments than
+     * "Toolpath.maxTubeSegments" are drawn as lines regardless.
+     */
+    setRenderMode(mode) {
+        Toolpath.renderMode = mode;
+        const useTubes = mode == "tubes" && this.canShowTubes;
+        if(mode == "tubes" && !useTubes) {
+            console.log("Warning: Too many segments to draw as tubes, drawing lines instead:", this.nSegments);
+        }
+        if(useTubes && !this.tubes) {
+            this.tubeGeometries = this.getTubeGeometries();
+            this.tubes = new THREE.Mesh(this.tubeGeometries.detailed, this.getTubeShaderMaterial());
+            // The bounds of the instances are not known to three.js
+            this.tubes.frustumCulled = false;
+            this.add(this.tubes);
+        }
+        if(this.tubes) {
+            this.tubes.visible = useTubes;
+        }
+        this.getShaderMaterial().uniforms.travelOnly.value = useTubes;
+        this.setDrawnSegments(this.drawnSegments);
+    }
+
+    get canShowTubes() {
+        return this.nSegments <= Toolpath.maxTubeSegments;
+    }
+
+    /**
+     * Makes the geometries for drawing each segment as an instance of a
+     * tube, a detailed one and a coarse one for when many segments are
+     * shown. Both share the per-segment data with the lines.
+     */
+    getTubeGeometries() {
+        const ends   = new THREE.InstancedInterleavedBuffer(this.lineSegmentEnds,       6);
+        const index  = new THREE.InstancedInterleavedBuffer(this.lineSegmentColorIndex, 2);
+        const value  = new THREE.InstancedInterleavedBuffer(this.lineSegmentColorValue, 2);
+        const size   = new THREE.InstancedBufferAttribute(this.segmentSize, 2);
+        function make(sides, caps) {
+            const geometry = Toolpath.getTubeGeometry(sides, caps);
+            geometry.setAttribute('instanceStart', new THREE.InterleavedBufferAttribute(ends,  3, 0));
+            geometry.setAttribute('instanceEnd',   new THREE.InterleavedBufferAttribute(ends,  3, 3));
+            geometry.setAttribute('instanceSize',  size);
+            geometry.setAttribute('colorIndex',    new THREE.InterleavedBufferAttribute(index, 1, 0));
+            geometry.setAttribute('colorValue',    new THREE.InterleavedBufferAttribute(value, 1, 0));
+            return geometry;
+        }
+        return {
+            detailed: make(8, true),
+            coarse:   make(4, false)
+        };
+    }
+
+    /**
+     * Makes a tube along the X axis from zero to one, with a cross section
+     * that fills the square from minus one to one in Y and Z, to be
+     * stretched out and sized by "Toolpath.tubeVertexShader".
+     *
+     *   sides - Eight gives an octagon with a flat top; four a diamond
+     *   caps  - Whether to close the ends
+     */
+    static getTubeGeometry(sides, caps) {
+        const positions = [];
+        const normals   = [];
+        const indices   = [];
+        // Offset the corners so that the flat sides of an octagon face up and out
+        const offset = sides == 8 ? Math.PI / sides : 0;
+        const radius = 1 / Math.cos(offset);
+        const ring = (x, normalX) => {
+            const first = positions.length / 3;
+            for(let k = 0; k < sides; k++) {
+                const angle = offset + 2 * Math.PI * k / sides;
+                const y = Math.cos(angle), z = Math.sin(angle);
+                positions.push(x, y * radius, z * radius);
+                normals.push(normalX, normalX ? 0 : y, normalX ? 0 : z);
+            }
+            return first;
+        };
+        const start = ring(0, 0), end = ring(1, 0);
+        for(let k = 0; k < sides; k++) {
+            const next = (k + 1) % sides;
+            indices.push(start + k, start + next, end + next);
+            indices.push(start + k, end + next,   end + k);
+        }
+        if(caps) {
+            const startCap = ring(0, -1), endCap = ring(1, 1);
+            for(let k = 1; k < sides - 1; k++) {
+                indices.push(startCap, startCap + k + 1, startCap + k);
+                indices.push(endCap,   endCap + k,       endCap + k + 1);
+            }
+        }
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.setIndex(indices);
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal',   new THREE.Float32BufferAttribute(normals,   3));
+        return geometry;
+    }
+
+    /**
+     * Draws the first "count" segments. When drawing tubes, the coarse
+     * ones are used when there are more than "Toolpath.tubeDetailSegments"
+     * to keep the view responsive.
+     */
+    setDrawnSegments(count) {
+        this.drawnSegments = count;
+        this.geometry.setDrawRange(0, count*2);
+        if(this.tubes) {
+            const lod = count > Toolpath.tubeDetailSegments ? "coarse" : "detailed";
+            this.tubes.geometry = this.tubeGeometries[lod];
+            this.tubes.geometry.maxInstancedCount = count;
+        }
+    }
+
+    // Makes a texture with one texel per color
+    static getPaletteTexture(colors) {
+        const colorData = new Uint8Array(4 * colors.length);
+        colors.forEach((color, index) => {
+            colorData.set(color, index * 4);
+            colorData[index * 4 + 3] = 255;
+        });
+        return new THREE.DataTexture(colorData, 1, colors.length, THREE.RGBAFormat);
+    }
+
     dispose() {
         this.geometry.dispose();
+        if(this.tubeGeometries) {
+            this.tubeGeometries.detailed.dispose();
+            this.tubeGeometries.coarse.dispose();
+        }
+        if(this._nozzle) {
+            this._nozzle.geometry.dispose();
+            this._nozzle.material.dispose();
+        }
     }
     
+    // Shows the layers up to and including the given one
     setGcodeLayer(layer) {
-        this.geometry.setDrawRange(0, this.layerEnd[layer]*2);
+        // Files without layer comments are shown all at once
+        const end = layer < this.nLayers ? this.layerEnd[layer + 1] : this.nSegments;
+        this.setDrawnSegments(end);
+        this.showNozzle(false);
+    }
+
+    // Returns the index of the first segment of a layer
+    layerStart(layer) {
+        return this.nLayers ? this.layerEnd[Math.min(Math.max(layer, 0), this.nLayers)] : 0;
+    }
+
+    // Returns the layer that a segment belongs to
+    layerOfSegment(segment) {
+        let lo = 0, hi = this.nLayers;
+        while(lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if(this.layerEnd[mid] <= segment) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return lo;
+    }
+
+    /**
+     * Shows the toolpath up to and including a segment, with the nozzle
+     * partway along it
+     *
+     *   segment  - The segment being printed
+     *   fraction - How far along the segment the nozzle is, from 0 to 1
+     */
+    showUpTo(segment, fraction) {
+        this.setDrawnSegments(segment+1);
+        const p = this.lineSegmentEnds;
+        const i = segment * 6;
+        this.nozzle.position.set(
+            p[i + 0] + (p[i + 3] - p[i + 0]) * fraction,
+            p[i + 1] + (p[i + 4] - p[i + 1]) * fraction,
+            p[i + 2] + (p[i + 5] - p[i + 2]) * fraction
+        );
+        this.showNozzle(true);
+    }
+
+    showNozzle(visible) {
+        if(visible && !this.nozzle.parent) {
+            this.add(this.nozzle);
+        }
+        if(!visible && this.nozzle.parent) {
+            this.remove(this.nozzle);
+        }
+    }
+
+    // A cone with its tip at the origin, pointing down
+    get nozzle() {
+        if(!this._nozzle) {
+            const geometry = new THREE.ConeBufferGeometry(1.5, 5, 16).rotateX(-Math.PI/2).translate(0, 0, 2.5);
+            const material = new THREE.MeshBasicMaterial({color: 0xff4000});
+            this._nozzle = new THREE.Mesh(geometry, material);
+        }
+        return this._nozzle;
     }
 
 }
@@ -201,18 +615,76 @@ Toolpath.typeList = Object.keys(Toolpath.colorMap);
 Toolpath.numColors = Toolpath.typeList.length;
 
 Toolpath.shader = null;
+Toolpath.tubeShader = null;
+
+// Either "lines" or "tubes"
+Toolpath.renderMode = "lines";
+
+// Files with more segments than this are always drawn as lines
+Toolpath.maxTubeSegments = 1500000;
+
+// Coarser tubes are drawn when more segments than this are shown
+Toolpath.tubeDetailSegments = 150000;
+
+// Limits on the size of the tubes, in mm. The layer height is used until
+// the height of the first layer is known, and changes in height smaller
+// than the minimum are taken to be part of a spiral.
+Toolpath.defaultLayerHeight = 0.2;
+Toolpath.minLayerHeight     = 0.04;
+Toolpath.maxExtrusionWidth  = 3;
+
+// The ways of coloring the toolpath; all but "type" and "extruder" use a gradient
+Toolpath.colorModes = {
+    "type":        {label: "Feature type"},
+    "feedrate":    {label: "Feedrate",        units: "mm/s"},
+    "flow":        {label: "Volumetric flow", units: "mm\u00B3/s"},
+    "layerTime":   {label: "Layer time",      units: "s"},
+    "temperature": {label: "Temperature",     units: "\u00B0C"},
+    "fan":         {label: "Fan speed",       units: "%"},
+    "extruder":    {label: "Extruder"}
+};
+Toolpath.colorMode = "type";
+
+// From the lowest to the highest value
+Toolpath.gradientColors = [
+    [0,   0,   255],
+    [0,   255, 255],
+    [0,   255, 0  ],
+    [255, 255, 0  ],
+    [255, 0,   0  ]
+];
+
+Toolpath.extruderColors = [
+    [255, 160, 0  ],
+    [0,   160, 255],
+    [160, 0,   255],
+    [0,   200, 100]
+];
 
 Toolpath.vertexShader = `
     uniform   vec3      lightDirection;
     uniform   float     ambient;
     uniform   float     diffuse;
     uniform   sampler2D colorMap;
+    uniform   sampler2D gradientMap;
+    uniform   bool      useGradient;
+    uniform   bool      travelOnly;
+    uniform   float     travelIndex;
     attribute float     colorIndex;
+    attribute float     colorValue;
     varying   vec2      vUv;
     varying   vec4      vColor;
 
     void main() {
        vec4 color  = texture2D(colorMap, vec2(0,colorIndex));
+       if(useGradient && colorValue >= 0.) {
+           // Keep the alpha, which hides feature types that are turned off
+           color = vec4(texture2D(gradientMap, vec2(0,colorValue)).rgb, color.a);
+       }
+       if(travelOnly && abs(colorIndex - travelIndex) > 0.001) {
+           // The extrusions are drawn as tubes
+           color.a = 0.;
+       }
        float iDiff = diffuse * abs(dot(normalize(normal), lightDirection));
        vUv         = uv;
        vColor      = vec4(clamp(vec3(color) * (iDiff + ambient), 0., 1.), color.a);
@@ -220,6 +692,54 @@ Toolpath.vertexShader = `
     }
 `;
 
+// Places and sizes a tube from "Toolpath.getTubeGeometry()" along a segment,
+// with the top of the bead at the nozzle height
+Toolpath.tubeVertexShader = `
+    uniform   vec3      lightDirection;
+    uniform   float     ambient;
+    uniform   float     diffuse;
+    uniform   sampler2D colorMap;
+    uniform   sampler2D gradientMap;
+    uniform   bool      useGradient;
+    attribute vec3      instanceStart;
+    attribute vec3      instanceEnd;
+    attribute vec2      instanceSize;
+    attribute float     colorIndex;
+    attribute float     colorValue;
+    varying   vec4      vColor;
+
+    void main() {
+       vec3  dir = instanceEnd - instanceStart;
+       float len = length(dir);
+       if(instanceSize.x == 0. || len == 0.) {
+           // Travel moves have no tube; put it outside the view
+           gl_Position = vec4(2., 2., 2., 1.);
+           return;
+       }
+       dir /= len;
+       vec3 side = cross(vec3(0,0,1), dir);
+       side = length(side) < 0.001 ? vec3(0,1,0) : normalize(side);
+       vec3 up = cross(dir, side);
+
+       // Lengthen the tube by half its width at each end to fill in the corners
+       float halfWidth  = instanceSize.x / 2.;
+       float halfHeight = instanceSize.y / 2.;
+       vec3 pos = instanceStart
+                + dir  * (position.x * (len + 2. * halfWidth) - halfWidth)
+                + side * position.y * halfWidth
+                + up   * (position.z - 1.) * halfHeight;
+       vec3 n   = normalize(dir * normal.x + side * normal.y + up * normal.z);
+
+       vec4 color  = texture2D(colorMap, vec2(0,colorIndex));
+       if(useGradient && colorValue >= 0.) {
+           color = vec4(texture2D(gradientMap, vec2(0,colorValue)).rgb, color.a);
+       }
+       float iDiff = diffuse * abs(dot(n, lightDirection));
+       vColor      = vec4(clamp(vec3(color) * (iDiff + ambient), 0., 1.), color.a);
+       gl_Position = projectionMatrix * modelViewMatrix * vec4( pos, 1.0 );
+    }
+`;
+
 Toolpath.fragmentShader = `
     varying   vec4    vColor;
 
@@ -0,0 +1,125 @@
+/**
+ *
+ * @licstart
+ *
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU Affero
+ * General Public License (GNU AGPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU AGPL for more details.
+ *
+ * As additional permission under GNU AGPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU AGPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend
+ *
+ */
+
+/**
+ * The ToolpathSimulation animates a Toolpath, moving the nozzle along
+ * each segment in the time the printer would take to print it.
+ */
+class ToolpathSimulation {
+    /**
+     *   toolpath - The Toolpath to animate
+     *   times    - The time at which each segment ends, as given by
+     *              "PrintTimeEstimator.estimate()"
+     */
+    constructor(toolpath, times) {
+        this.toolpath  = toolpath;
+        this.times     = times;
+        this.time      = 0;
+        this.segment   = 0;
+        this.speed     = 1;
+        this.isActive  = false;
+        this.isPlaying = false;
+        this._onFrame  = this._onFrame.bind(this);
+    }
+
+    get duration() {
+        return this.times.length ? this.times[this.times.length - 1] : 0;
+    }
+
+    play() {
+        if(!this.isPlaying && this.times.length) {
+            if(this.time >= this.duration) {
+                this.time = 0;
+            }
+            this.isPlaying = true;
+            this.lastFrame = performance.now();
+            requestAnimationFrame(this._onFrame);
+        }
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    // Stops the simulation and hides the nozzle
+    stop() {
+        this.pause();
+        this.isActive = false;
+        this.toolpath.showNozzle(false);
+    }
+
+    // Moves to the start of a segment
+    seekToSegment(segment) {
+        segment = Math.min(Math.max(segment, 0), this.times.length - 1);
+        this.seekToTime(segment > 0 ? this.times[segment - 1] : 0);
+    }
+
+    seekToTime(time) {
+        this.time = Math.min(Math.max(time, 0), this.duration);
+        this._update();
+    }
+
+    _onFrame(now) {
+        if(!this.isPlaying) {
+            return;
+        }
+        this.time += (now - this.lastFrame) / 1000 * this.speed;
+        this.lastFrame = now;
+        if(this.time >= this.duration) {
+            this.time = this.duration;
+            this.isPlaying = false;
+        }
+        this._update();
+        if(this.isPlaying) {
+            requestAnimationFrame(this._onFrame);
+        }
+    }
+
+    _update() {
+        if(!this.times.length) {
+            return;
+        }
+        // Find the first segment which ends after the current time
+        const times = this.times;
+        let lo = 0, hi = times.length - 1;
+        while(lo < hi) {
+            const mid = Math.floor((lo + hi) / 2);
+            if(times[mid] > this.time) {
+                hi = mid;
+            } else {
+                lo = mid + 1;
+            }
+        }
+        const start    = lo > 0 ? times[lo - 1] : 0;
+        const fraction = times[lo] > start ? Math.min((this.time - start) / (times[lo] - start), 1) : 1;
+        this.segment  = lo;
+        this.isActive = true;
+        this.toolpath.showUpTo(lo, fraction);
+        this.onUpdate();
+    }
+
+    // Event call backs
+    onUpdate() {}
+}
@@ -66,6 +66,40 @@
         }
     }
 
+    /**
+     * Reverses the winding order of all faces in a geometry, turning it
+     * inside out. This is needed after applying a mirroring transform.
+     *
+     *  geometry    - Geometry to modify.
+     */
+    static flipWinding(geometry) {
+        const swap = (array, itemSize, i, j) => {
+            for(let k = 0; k < itemSize; k++) {
+                const tmp = array[i * itemSize + k];
+                array[i * itemSize + k] = array[j * itemSize + k];
+                array[j * itemSize + k] = tmp;
+            }
+        };
+        if(geometry instanceof THREE.BufferGeometry) {
+            if(geometry.index) {
+                for(let i = 0; i < geometry.index.count; i += 3) {
+                    swap(geometry.index.array, 1, i + 1, i + 2);
+                }
+                geometry.index.needsUpdate = true;
+            } else {
+                for(const attr of Object.values(geometry.attributes)) {
+                    for(let i = 0; i < attr.count; i += 3) {
+                        swap(attr.array, attr.itemSize, i + 1, i + 2);
+                    }
+                    attr.needsUpdate = true;
+                }
+            }
+        } else {
+            geometry.faces.forEach(f => [f.b, f.c] = [f.c, f.b]);
+            geometry.elementsNeedUpdate = true;
+        }
+    }
+
     /**
      * Finds the lowest point in the object.
      *
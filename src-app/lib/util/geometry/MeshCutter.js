@@ -0,0 +1,339 @@
+/**
+ * WebSlicer
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * MeshCutter splits a closed mesh in two along the XY plane (z = 0) and
+ * caps the cut faces so that both halves are closed. The caller is expected
+ * to transform the geometry so that the desired cut plane lies on z = 0.
+ *
+ * Optionally, alignment pegs are added to the part below the plane, with
+ * matching holes in the part above it.
+ *
+ * The cut faces are built with Clipper, so cut points are snapped to the
+ * Clipper grid; this keeps the sides and the caps of each half watertight.
+ */
+class MeshCutter {
+    /**
+     * Cuts a geometry along the plane z = 0.
+     *
+     *   geometry - A THREE.BufferGeometry
+     *   options  - Optional; "pegs" to add alignment pegs and "pegDiameter"
+     *              for their size in mm
+     *
+     * Returns an object with "below" and "above" geometries, either of which
+     * will be null if there is nothing on that side of the plane.
+     */
+    static cut(geometry, options = {}) {
+        const scale     = MeshCutter.clipperScale;
+        const snap      = v => Math.round(v * scale) / scale;
+        const positions = Float64Array.from(geometry.getAttribute("position").array);
+        const count     = positions.length / 3;
+        const indices   = geometry.index ? geometry.index.array : Array.from({length: count}, (v, i) => i);
+
+        // Classify each vertex by which side of the plane it is on. Vertices
+        // very close to the plane are moved onto it.
+        const side = new Int8Array(count);
+        for(let i = 0; i < count; i++) {
+            const z = positions[i * 3 + 2];
+            if(Math.abs(z) < MeshCutter.planeEpsilon) {
+                positions[i * 3 + 0] = snap(positions[i * 3 + 0]);
+                positions[i * 3 + 1] = snap(positions[i * 3 + 1]);
+                positions[i * 3 + 2] = 0;
+            } else {
+                side[i] = Math.sign(z);
+            }
+        }
+
+        // Computes where an edge crosses the plane. The computation is done
+        // in a canonical order so both faces sharing the edge get the same point.
+        const cutPoint = (a, b) => {
+            if(a > b) [a, b] = [b, a];
+            const t = positions[a * 3 + 2] / (positions[a * 3 + 2] - positions[b * 3 + 2]);
+            return [
+                snap(positions[a * 3 + 0] + t * (positions[b * 3 + 0] - positions[a * 3 + 0])),
+                snap(positions[a * 3 + 1] + t * (positions[b * 3 + 1] - positions[a * 3 + 1])),
+                0
+            ];
+        };
+        const vertex = i => [positions[i * 3 + 0], positions[i * 3 + 1], positions[i * 3 + 2]];
+
+        // Clips a face to one side of the plane, adding the result as a fan of triangles
+        const clipFace = (face, keep, soup) => {
+            const points = [];
+            for(let i = 0; i < 3; i++) {
+                const p = face[i], q = face[(i + 1) % 3];
+                if(side[p] * keep >= 0) points.push(vertex(p));
+                if(side[p] * side[q] < 0) points.push(cutPoint(p, q));
+            }
+            for(let i = 1; i < points.length - 1; i++) {
+                soup.push(...points[0], ...points[i], ...points[i + 1]);
+            }
+        };
+
+        const below = [], above = [];
+        for(let i = 0; i < indices.length; i += 3) {
+            const face = [indices[i], indices[i + 1], indices[i + 2]];
+            const hasBelow = face.some(v => side[v] < 0);
+            const hasAbove = face.some(v => side[v] > 0);
+            if(hasBelow && !hasAbove) {
+                face.forEach(v => below.push(...vertex(v)));
+            } else if(hasAbove && !hasBelow) {
+                face.forEach(v => above.push(...vertex(v)));
+            } else if(hasAbove && hasBelow) {
+                clipFace(face, -1, below);
+                clipFace(face,  1, above);
+            }
+            // Faces lying on the plane are dropped, as they are replaced by the caps
+        }
+
+        if(below.length == 0 || above.length == 0) {
+            return {
+                below: below.length ? MeshCutter._toGeometry(below) : null,
+                above: above.length ? MeshCutter._toGeometry(above) : null
+            };
+        }
+
+        // Build the caps from the open edges left in the lower half
+        const islands = MeshCutter._findCrossSection(below);
+        for(const island of islands) {
+            const pegs = options.pegs ? MeshCutter._findPegLocations(island, options.pegDiameter / 2) : [];
+            const radius = options.pegDiameter / 2, clearance = MeshCutter.pegClearance;
+            MeshCutter._addCap(below, island, pegs, radius,             radius * 2,             true);
+            MeshCutter._addCap(above, island, pegs, radius + clearance, radius * 2 + clearance, false);
+        }
+
+        return {
+            below: MeshCutter._toGeometry(below),
+            above: MeshCutter._toGeometry(above)
+        };
+    }
+
+    // Private methods
+
+    /**
+     * Returns a repaired, indexed geometry from a list of triangle vertices
+     */
+    static _toGeometry(soup) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(Float32Array.from(soup), 3));
+        return MeshRepair.repairGeometry(geometry);
+    }
+
+    /**
+     * Finds the outline of the cut from the edges of the lower half which
+     * lie on the plane and are used by only one face. Returns a list of
+     * islands, each with a "contour" and a list of "holes", in Clipper
+     * coordinates.
+     */
+    static _findCrossSection(soup) {
+        const scale = MeshCutter.clipperScale;
+        const {positions, indices} = MeshRepair.weldVertices(soup, 1 / scale);
+        const onPlane = v => positions[v * 3 + 2] == 0;
+        const edgeKey = (u, v) => u + "," + v;
+
+        const edges = new Map();
+        for(let i = 0; i < indices.length; i += 3) {
+            for(let j = 0; j < 3; j++) {
+                const u = indices[i + j], v = indices[i + (j + 1) % 3];
+                edges.set(edgeKey(u, v), (edges.get(edgeKey(u, v)) || 0) + 1);
+            }
+        }
+
+        // An open edge in the lower half traversed in reverse runs
+        // counterclockwise around the outside of the cut face.
+        const outgoing = new Map();
+        for(const key of edges.keys()) {
+            const [u, v] = key.split(",").map(Number);
+            if(edges.has(edgeKey(v, u)) || !onPlane(u) || !onPlane(v)) continue;
+            if(outgoing.has(v)) outgoing.get(v).push(u); else outgoing.set(v, [u]);
+        }
+
+        const paths = [];
+        for(const [start, list] of outgoing) {
+            while(list.length) {
+                const path = [];
+                let v = start;
+                do {
+                    path.push({X: Math.round(positions[v * 3 + 0] * scale), Y: Math.round(positions[v * 3 + 1] * scale)});
+                    const next = outgoing.get(v);
+                    v = next && next.length ? next.pop() : undefined;
+                } while(v !== undefined && v != start);
+                if(path.length > 2) paths.push(path);
+            }
+        }
+
+        // Use Clipper to sort out which loops are holes in which islands
+        const clipper = new ClipperLib.Clipper();
+        clipper.PreserveCollinear = true;
+        clipper.AddPaths(paths, ClipperLib.PolyType.ptSubject, true);
+        const tree = new ClipperLib.PolyTree();
+        clipper.Execute(ClipperLib.ClipType.ctUnion, tree, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+
+        const islands = [];
+        const addIslands = nodes => {
+            for(const node of nodes) {
+                const holes = node.Childs();
+                islands.push({contour: node.Contour(), holes: holes.map(hole => hole.Contour())});
+                holes.forEach(hole => addIslands(hole.Childs()));
+            }
+        };
+        addIslands(tree.Childs());
+        return islands;
+    }
+
+    /**
+     * Chooses where to put alignment pegs on an island. The holes in the upper
+     * half are kept at least "pegMargin" away from any edge. Two pegs are used
+     * when there is room, so that the halves cannot rotate.
+     */
+    static _findPegLocations(island, radius) {
+        const scale  = MeshCutter.clipperScale;
+        const margin = radius + MeshCutter.pegClearance + MeshCutter.pegMargin;
+
+        // Returns the vertices of the island shrunk by some distance
+        const inset = distance => {
+            const offset = new ClipperLib.ClipperOffset();
+            offset.AddPaths([island.contour, ...island.holes], ClipperLib.JoinType.jtRound, ClipperLib.EndType.etClosedPolygon);
+            const region = new ClipperLib.Paths();
+            offset.Execute(region, -distance * scale);
+            return [].concat(...region.filter(path => ClipperLib.Clipper.Orientation(path))).map(p => ({x: p.X / scale, y: p.Y / scale}));
+        };
+
+        const farthestPair = points => {
+            const step = Math.ceil(points.length / 200);
+            const sampled = points.filter((p, i) => i % step == 0);
+            let best = {distance: 0};
+            for(let i = 0; i < sampled.length; i++) {
+                for(let j = i + 1; j < sampled.length; j++) {
+                    const distance = Math.hypot(sampled[i].x - sampled[j].x, sampled[i].y - sampled[j].y);
+                    if(distance > best.distance) best = {distance, pegs: [sampled[i], sampled[j]]};
+                }
+            }
+            return best;
+        };
+
+        // Keep the pegs as far from the edges as possible, so the holes do not
+        // break through the thin parts of the upper half. The island is shrunk
+        // until the pegs no longer fit.
+        let single = [], pair = null;
+        for(let i = 0; i < 100; i++) {
+            const points = inset(margin * (1 + i / 2));
+            if(points.length == 0) break;
+            const best = farthestPair(points);
+            if(best.distance > 2 * margin) pair = best.pegs;
+            single = [points.reduce((sum, p) => ({x: sum.x + p.x / points.length, y: sum.y + p.y / points.length}), {x: 0, y: 0})];
+        }
+        return pair || single;
+    }
+
+    /**
+     * Returns the points of a circle, counterclockwise
+     */
+    static _circle(center, radius) {
+        const points = [];
+        for(let i = 0; i < MeshCutter.pegSegments; i++) {
+            const angle = i / MeshCutter.pegSegments * Math.PI * 2;
+            points.push(new THREE.Vector2(center.x + Math.cos(angle) * radius, center.y + Math.sin(angle) * radius));
+        }
+        return points;
+    }
+
+    /**
+     * Caps an island of the cut face, adding a peg (for the lower half) or a
+     * hole (for the upper half) of the given radius and height at each peg
+     * location.
+     */
+    static _addCap(soup, island, pegs, radius, height, isBelow) {
+        const scale   = MeshCutter.clipperScale;
+        const toVec   = path => path.map(p => new THREE.Vector2(p.X / scale, p.Y / scale));
+        const contour = toVec(island.contour);
+        const holes   = island.holes.map(toVec);
+        const circles = pegs.map(peg => MeshCutter._circle(peg, radius));
+        holes.push(...circles);
+
+        // The lower half's cap faces up, the upper half's cap faces down
+        const addTriangle = (a, b, c) => {
+            if(THREE.ShapeUtils.area([a, b, c]) > 0 != isBelow) [b, c] = [c, b];
+            soup.push(a.x, a.y, 0, b.x, b.y, 0, c.x, c.y, 0);
+        };
+
+        // The triangulation skips collinear points on the outline, but the
+        // sides of the mesh have vertices there. Triangles with edges
+        // spanning such points are split into a fan around their center.
+        const rings = [contour, ...holes];
+        const skipped = (ring, i, j) => {
+            const points = [];
+            const a = ring[i], b = ring[j];
+            const length = a.distanceTo(b);
+            for(let k = (i + 1) % ring.length; k != j; k = (k + 1) % ring.length) {
+                const p = ring[k];
+                const offLine = Math.abs((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x)) / length;
+                if(offLine > 1e-6 || a.distanceTo(p) > length || b.distanceTo(p) > length) return [];
+                points.push(p);
+            }
+            return points;
+        };
+        const edgePoints = (u, v) => {
+            if(u.ring != v.ring) return [];
+            const ring = rings[u.ring];
+            const forward = skipped(ring, u.index, v.index);
+            return forward.length ? forward : skipped(ring, v.index, u.index).reverse();
+        };
+
+        const lookup = [];
+        rings.forEach((ring, r) => ring.forEach((point, index) => lookup.push({point, ring: r, index})));
+        for(const face of THREE.ShapeUtils.triangulateShape(contour, holes)) {
+            const [a, b, c] = face.map(i => lookup[i]);
+            const outline = [
+                a.point, ...edgePoints(a, b),
+                b.point, ...edgePoints(b, c),
+                c.point, ...edgePoints(c, a)
+            ];
+            if(outline.length == 3) {
+                addTriangle(a.point, b.point, c.point);
+            } else {
+                const center = new THREE.Vector2().add(a.point).add(b.point).add(c.point).divideScalar(3);
+                outline.forEach((p, i) => addTriangle(center, p, outline[(i + 1) % outline.length]));
+            }
+        }
+
+        // Pegs stick up out of the lower half, into holes in the upper half
+        const top = height;
+        for(const circle of circles) {
+            const center = circle.reduce((sum, p) => sum.add(p), new THREE.Vector2()).divideScalar(circle.length);
+            for(let i = 0; i < circle.length; i++) {
+                const p = circle[i], q = circle[(i + 1) % circle.length];
+                if(isBelow) {
+                    soup.push(p.x, p.y, 0,   q.x, q.y, 0,   q.x, q.y, top);
+                    soup.push(p.x, p.y, 0,   q.x, q.y, top, p.x, p.y, top);
+                    soup.push(center.x, center.y, top, p.x, p.y, top, q.x, q.y, top);
+                } else {
+                    soup.push(p.x, p.y, 0,   q.x, q.y, top, q.x, q.y, 0);
+                    soup.push(p.x, p.y, 0,   p.x, p.y, top, q.x, q.y, top);
+                    soup.push(center.x, center.y, top, q.x, q.y, top, p.x, p.y, top);
+                }
+            }
+        }
+    }
+}
+
+MeshCutter.clipperScale = 10000; // Clipper units per mm
+MeshCutter.planeEpsilon = 1e-4;  // Vertices closer than this to the plane are moved onto it
+MeshCutter.pegClearance = 0.2;   // Gap between the pegs and their holes, in mm
+MeshCutter.pegMargin    = 1.0;   // Minimum wall around the holes, in mm
+MeshCutter.pegSegments  = 24;
@@ -0,0 +1,430 @@
+/**
+ * WebSlicer
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * MeshRepair analyzes an indexed triangle mesh and fixes the problems which
+ * most commonly cause missing walls when slicing:
+ *
+ *   - Degenerate faces (repeated vertices or zero area) are removed
+ *   - Duplicate faces are removed
+ *   - Faces are flipped so that the winding is consistent, with normals
+ *     pointing outwards
+ *   - Holes are filled
+ *
+ * Non-manifold edges and self-intersections are detected and reported, but
+ * cannot be fixed automatically.
+ *
+ * The core routines work on flat arrays so that they can be used either in
+ * the GeometryLoaderWorker or on the main thread.
+ */
+class MeshRepair {
+    /**
+     * Repairs a THREE.BufferGeometry, returning a new indexed geometry.
+     * The analysis report is stored in "userData.meshReport"
+     */
+    static repairGeometry(geometry) {
+        // Faces are only connected through shared vertices, so make sure
+        // vertices at the same position are merged
+        let {positions, indices} = MeshRepair.weldVertices(geometry.getAttribute("position").array);
+        if(geometry.index) {
+            indices = geometry.index.array.map(i => indices[i]);
+        }
+        const result = MeshRepair.repair(positions, indices);
+        const repaired = new THREE.BufferGeometry();
+        repaired.setIndex(new THREE.BufferAttribute(result.indices, 1));
+        repaired.setAttribute('position', new THREE.BufferAttribute(result.positions, 3));
+        repaired.computeVertexNormals();
+        repaired.userData.meshReport = result.report;
+        return repaired;
+    }
+
+    /**
+     * Merges vertices which share the same position. Returns the merged
+     * positions and, for each original vertex, the index of the merged one.
+     * For a non-indexed list of triangle vertices, these are the indices
+     * of the merged mesh.
+     */
+    static weldVertices(positions, precision = 1e-4) {
+        const vertexMap = new Map();
+        const welded    = [];
+        const indices   = new Uint32Array(positions.length / 3);
+        for(let i = 0; i < indices.length; i++) {
+            const x = positions[i * 3 + 0];
+            const y = positions[i * 3 + 1];
+            const z = positions[i * 3 + 2];
+            const key = Math.round(x / precision) + "," +
+                        Math.round(y / precision) + "," +
+                        Math.round(z / precision);
+            let index = vertexMap.get(key);
+            if(index === undefined) {
+                index = welded.length / 3;
+                vertexMap.set(key, index);
+                welded.push(x, y, z);
+            }
+            indices[i] = index;
+        }
+        return {positions: Float32Array.from(welded), indices};
+    }
+
+    /**
+     * Analyzes and repairs a mesh
+     *
+     *   positions - Flat array of vertex positions
+     *   indices   - Flat array of triangle indices
+     *
+     * Returns an object with the repaired "positions", "indices" and a
+     * "report" describing what was found.
+     */
+    static repair(positions, indices) {
+        const report = {
+            faces:             indices.length / 3,
+            vertices:          positions.length / 3,
+            degenerateFaces:   0,
+            duplicateFaces:    0,
+            nonManifoldEdges:  0,
+            holes:             0,
+            holesFilled:       0,
+            flippedFaces:      0,
+            selfIntersections: 0
+        };
+
+        const verts = Array.from(positions);
+        const faces = MeshRepair._removeBadFaces(verts, indices, report);
+        let edges   = MeshRepair._buildEdgeMap(faces, report.vertices);
+
+        for(const list of edges.values()) {
+            if(list.length > 2) report.nonManifoldEdges++;
+        }
+
+        MeshRepair._orientFaces(verts, faces, edges, report);
+        edges = MeshRepair._buildEdgeMap(faces, report.vertices);
+        MeshRepair._fillHoles(verts, faces, edges, report);
+
+        report.selfIntersections = MeshRepair._countSelfIntersections(verts, faces);
+
+        const vertexCount = verts.length / 3;
+        return {
+            positions: Float32Array.from(verts),
+            indices:   vertexCount > 65535 ? Uint32Array.from(faces) : Uint16Array.from(faces),
+            report
+        };
+    }
+
+    /**
+     * Returns true if the report indicates the mesh was printable as loaded
+     */
+    static isHealthy(report) {
+        return report.degenerateFaces   == 0 &&
+               report.duplicateFaces    == 0 &&
+               report.nonManifoldEdges  == 0 &&
+               report.holes             == 0 &&
+               report.flippedFaces      == 0 &&
+               !report.selfIntersections;
+    }
+
+    // Private methods
+
+    static _triangleArea(verts, a, b, c) {
+        const ux = verts[b*3+0] - verts[a*3+0], uy = verts[b*3+1] - verts[a*3+1], uz = verts[b*3+2] - verts[a*3+2];
+        const vx = verts[c*3+0] - verts[a*3+0], vy = verts[c*3+1] - verts[a*3+1], vz = verts[c*3+2] - verts[a*3+2];
+        const nx = uy * vz - uz * vy;
+        const ny = uz * vx - ux * vz;
+        const nz = ux * vy - uy * vx;
+        return Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+    }
+
+    /**
+     * Returns a flat list of faces with degenerate and duplicate faces removed
+     */
+    static _removeBadFaces(verts, indices, report) {
+        const faces = [];
+        const seen  = new Set();
+        for(let i = 0; i < indices.length; i += 3) {
+            const a = indices[i], b = indices[i + 1], c = indices[i + 2];
+            if(a == b || b == c || c == a || MeshRepair._triangleArea(verts, a, b, c) < MeshRepair.areaEpsilon) {
+                report.degenerateFaces++;
+                continue;
+            }
+            const key = [a, b, c].sort((x, y) => x - y).join();
+            if(seen.has(key)) {
+                report.duplicateFaces++;
+                continue;
+            }
+            seen.add(key);
+            faces.push(a, b, c);
+        }
+        return faces;
+    }
+
+    /**
+     * Returns a map of undirected edges to the list of faces that share them
+     */
+    static _buildEdgeMap(faces, vertexCount) {
+        const edges = new Map();
+        const n = Math.max(vertexCount, 1);
+        for(let f = 0; f < faces.length / 3; f++) {
+            for(let i = 0; i < 3; i++) {
+                const u = faces[f * 3 + i], v = faces[f * 3 + (i + 1) % 3];
+                const key = Math.min(u, v) * n + Math.max(u, v);
+                const list = edges.get(key);
+                if(list) list.push(f); else edges.set(key, [f]);
+            }
+        }
+        return edges;
+    }
+
+    static _hasDirectedEdge(faces, f, u, v) {
+        const a = faces[f * 3], b = faces[f * 3 + 1], c = faces[f * 3 + 2];
+        return (a == u && b == v) || (b == u && c == v) || (c == u && a == v);
+    }
+
+    static _flipFace(faces, f) {
+        const b = faces[f * 3 + 1];
+        faces[f * 3 + 1] = faces[f * 3 + 2];
+        faces[f * 3 + 2] = b;
+    }
+
+    /**
+     * Walks each connected component across its manifold edges, flipping
+     * faces so the winding agrees with their neighbors. Afterwards, any
+     * component enclosing a negative volume is turned inside out.
+     */
+    static _orientFaces(verts, faces, edges, report) {
+        const faceCount = faces.length / 3;
+        const n         = Math.max(report.vertices, 1);
+        const flip      = new Int8Array(faceCount); // 0: unvisited, 1: keep, -1: flip
+
+        for(let seed = 0; seed < faceCount; seed++) {
+            if(flip[seed]) continue;
+            flip[seed] = 1;
+            const component = [seed];
+            for(let k = 0; k < component.length; k++) {
+                const f = component[k];
+                for(let i = 0; i < 3; i++) {
+                    // Edge of "f" in its corrected orientation
+                    let u = faces[f * 3 + i], v = faces[f * 3 + (i + 1) % 3];
+                    if(flip[f] == -1) [u, v] = [v, u];
+                    const list = edges.get(Math.min(u, v) * n + Math.max(u, v));
+                    if(list.length != 2) continue;
+                    const g = list[0] == f ? list[1] : list[0];
+                    if(flip[g]) continue;
+                    // A neighbor with consistent winding traverses the edge in the opposite direction
+                    flip[g] = MeshRepair._hasDirectedEdge(faces, g, u, v) ? -1 : 1;
+                    component.push(g);
+                }
+            }
+
+            // Compute the signed volume of the component
+            let volume = 0;
+            for(const f of component) {
+                let a = faces[f * 3], b = faces[f * 3 + 1], c = faces[f * 3 + 2];
+                if(flip[f] == -1) [b, c] = [c, b];
+                volume += verts[a*3+0] * (verts[b*3+1] * verts[c*3+2] - verts[b*3+2] * verts[c*3+1]) +
+                          verts[a*3+1] * (verts[b*3+2] * verts[c*3+0] - verts[b*3+0] * verts[c*3+2]) +
+                          verts[a*3+2] * (verts[b*3+0] * verts[c*3+1] - verts[b*3+1] * verts[c*3+0]);
+            }
+            if(volume < 0) {
+                for(const f of component) flip[f] = -flip[f];
+            }
+        }
+
+        for(let f = 0; f < faceCount; f++) {
+            if(flip[f] == -1) {
+                MeshRepair._flipFace(faces, f);
+                report.flippedFaces++;
+            }
+        }
+    }
+
+    /**
+     * Traces the boundary loops of the mesh and closes each with a fan of
+     * triangles around its centroid. Loops which cannot be traced back to
+     * their starting point are counted, but left open.
+     */
+    static _fillHoles(verts, faces, edges, report) {
+        // Collect boundary half-edges, reversed so that they run around the hole
+        const n        = Math.max(report.vertices, 1);
+        const outgoing = new Map();
+        for(const list of edges.values()) {
+            if(list.length != 1) continue;
+            const f = list[0];
+            for(let i = 0; i < 3; i++) {
+                const u = faces[f * 3 + i], v = faces[f * 3 + (i + 1) % 3];
+                if(edges.get(Math.min(u, v) * n + Math.max(u, v)) !== list) continue;
+                const next = outgoing.get(v);
+                if(next) next.push(u); else outgoing.set(v, [u]);
+            }
+        }
+
+        const takeEdge = from => {
+            const list = outgoing.get(from);
+            return list && list.length ? list.pop() : undefined;
+        };
+
+        for(const start of outgoing.keys()) {
+            while(outgoing.get(start).length) {
+                const loop = [start];
+                let v = takeEdge(start);
+                while(v !== undefined && v != start) {
+                    loop.push(v);
+                    v = takeEdge(v);
+                }
+                if(v != start) {
+                    report.holes++;
+                    continue;
+                }
+                if(loop.length < 3) continue;
+                if(loop.length == 3) {
+                    if(MeshRepair._triangleArea(verts, loop[0], loop[1], loop[2]) < MeshRepair.areaEpsilon) continue;
+                    faces.push(loop[0], loop[1], loop[2]);
+                } else {
+                    let cx = 0, cy = 0, cz = 0;
+                    for(const i of loop) {
+                        cx += verts[i * 3 + 0];
+                        cy += verts[i * 3 + 1];
+                        cz += verts[i * 3 + 2];
+                    }
+                    const c = verts.length / 3;
+                    verts.push(cx / loop.length, cy / loop.length, cz / loop.length);
+                    for(let i = 0; i < loop.length; i++) {
+                        faces.push(loop[i], loop[(i + 1) % loop.length], c);
+                    }
+                }
+                report.holes++;
+                report.holesFilled++;
+            }
+        }
+    }
+
+    /**
+     * Counts the pairs of faces which pass through each other. Faces sharing
+     * a vertex are not tested. Returns null if the mesh is too large to check.
+     */
+    static _countSelfIntersections(verts, faces) {
+        const faceCount = faces.length / 3;
+        if(faceCount > MeshRepair.maxIntersectionFaces) {
+            return null;
+        }
+        if(faceCount == 0) {
+            return 0;
+        }
+
+        // Bounding boxes for each face and the whole mesh
+        const boxes = new Float32Array(faceCount * 6);
+        const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for(let f = 0; f < faceCount; f++) {
+            for(let axis = 0; axis < 3; axis++) {
+                const a = verts[faces[f * 3 + 0] * 3 + axis];
+                const b = verts[faces[f * 3 + 1] * 3 + axis];
+                const c = verts[faces[f * 3 + 2] * 3 + axis];
+                boxes[f * 6 + axis]     = Math.min(a, b, c);
+                boxes[f * 6 + axis + 3] = Math.max(a, b, c);
+                min[axis] = Math.min(min[axis], boxes[f * 6 + axis]);
+                max[axis] = Math.max(max[axis], boxes[f * 6 + axis + 3]);
+            }
+        }
+
+        // Bin the faces into a uniform grid with roughly one cell per face
+        const size = [0, 1, 2].map(axis => Math.max(max[axis] - min[axis], 1e-6));
+        const cellSize = Math.cbrt(size[0] * size[1] * size[2] / faceCount) || 1;
+        const dims = size.map(s => Math.min(Math.max(1, Math.ceil(s / cellSize)), 256));
+        const cellOf = (value, axis) => Math.min(dims[axis] - 1, Math.floor((value - min[axis]) / size[axis] * dims[axis]));
+        const grid = new Map();
+        for(let f = 0; f < faceCount; f++) {
+            const x0 = cellOf(boxes[f*6+0], 0), x1 = cellOf(boxes[f*6+3], 0);
+            const y0 = cellOf(boxes[f*6+1], 1), y1 = cellOf(boxes[f*6+4], 1);
+            const z0 = cellOf(boxes[f*6+2], 2), z1 = cellOf(boxes[f*6+5], 2);
+            for(let x = x0; x <= x1; x++)
+                for(let y = y0; y <= y1; y++)
+                    for(let z = z0; z <= z1; z++) {
+                        const key = (x * dims[1] + y) * dims[2] + z;
+                        const cell = grid.get(key);
+                        if(cell) cell.push(f); else grid.set(key, [f]);
+                    }
+        }
+
+        const overlaps = (f, g) => {
+            for(let axis = 0; axis < 3; axis++) {
+                if(boxes[f*6+axis] > boxes[g*6+axis+3] || boxes[g*6+axis] > boxes[f*6+axis+3]) return false;
+            }
+            return true;
+        };
+
+        const tested = new Set();
+        let count = 0;
+        for(const cell of grid.values()) {
+            for(let i = 0; i < cell.length; i++) {
+                const f = cell[i];
+                const fa = faces[f * 3], fb = faces[f * 3 + 1], fc = faces[f * 3 + 2];
+                for(let j = i + 1; j < cell.length; j++) {
+                    const g = cell[j];
+                    const ga = faces[g * 3], gb = faces[g * 3 + 1], gc = faces[g * 3 + 2];
+                    if(fa == ga || fa == gb || fa == gc ||
+                       fb == ga || fb == gb || fb == gc ||
+                       fc == ga || fc == gb || fc == gc) continue;
+                    if(!overlaps(f, g)) continue;
+                    const key = Math.min(f, g) * faceCount + Math.max(f, g);
+                    if(tested.has(key)) continue;
+                    tested.add(key);
+                    if(MeshRepair._trianglesIntersect(verts, faces, f, g)) count++;
+                }
+            }
+        }
+        return count;
+    }
+
+    static _trianglesIntersect(verts, faces, f, g) {
+        for(let i = 0; i < 3; i++) {
+            if(MeshRepair._segmentHitsTriangle(verts, faces[f*3+i], faces[f*3+(i+1)%3], faces[g*3], faces[g*3+1], faces[g*3+2]) ||
+               MeshRepair._segmentHitsTriangle(verts, faces[g*3+i], faces[g*3+(i+1)%3], faces[f*3], faces[f*3+1], faces[f*3+2])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Möller–Trumbore intersection between the segment p-q and the triangle a-b-c.
+     * Segments lying in the plane of the triangle are not considered intersecting.
+     */
+    static _segmentHitsTriangle(verts, p, q, a, b, c) {
+        const V = (i, axis) => verts[i * 3 + axis];
+        const dx = V(q,0) - V(p,0), dy = V(q,1) - V(p,1), dz = V(q,2) - V(p,2);
+        const e1x = V(b,0) - V(a,0), e1y = V(b,1) - V(a,1), e1z = V(b,2) - V(a,2);
+        const e2x = V(c,0) - V(a,0), e2y = V(c,1) - V(a,1), e2z = V(c,2) - V(a,2);
+        const hx = dy * e2z - dz * e2y;
+        const hy = dz * e2x - dx * e2z;
+        const hz = dx * e2y - dy * e2x;
+        const det = e1x * hx + e1y * hy + e1z * hz;
+        if(Math.abs(det) < 1e-12) return false;
+        const inv = 1 / det;
+        const sx = V(p,0) - V(a,0), sy = V(p,1) - V(a,1), sz = V(p,2) - V(a,2);
+        const u = (sx * hx + sy * hy + sz * hz) * inv;
+        if(u < 0 || u > 1) return false;
+        const qx = sy * e1z - sz * e1y;
+        const qy = sz * e1x - sx * e1z;
+        const qz = sx * e1y - sy * e1x;
+        const v = (dx * qx + dy * qy + dz * qz) * inv;
+        if(v < 0 || u + v > 1) return false;
+        const t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+        return t > 1e-6 && t < 1 - 1e-6;
+    }
+}
+
+MeshRepair.areaEpsilon          = 1e-10;
+MeshRepair.maxIntersectionFaces = 200000;
@@ -0,0 +1,498 @@
+/**
+ * WebSlicer
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * PolygonNester arranges parts on the print bed using the convex outline
+ * of their footprints. Parts are placed one at a time, largest first, at
+ * the position closest to the center of the bed where they neither overlap
+ * a previously placed part nor hang off the bed. If that leaves parts
+ * over, the parts are instead packed starting from a corner of the bed.
+ *
+ * The positions where a part would touch another are found with a no-fit
+ * polygon, which for convex outlines is the Minkowski sum of one outline
+ * with the reflection of the other. The positions where a part lies within
+ * the bed form the inner-fit polygon. Candidate positions are taken from
+ * the vertices and edge crossings of these polygons.
+ *
+ * Points are plain {x, y} objects and polygons are counter-clockwise arrays
+ * of points.
+ */
+class PolygonNester {
+    /**
+     * Finds positions for parts on the print bed.
+     *
+     *   parts   - An array of {polygon, fixed}. For fixed parts, the polygon
+     *             is in bed coordinates and only serves as an obstacle. For
+     *             other parts, the polygon is relative to the point being
+     *             positioned.
+     *   bed     - An object with "min" and "max" corners, in bed coordinates,
+     *             and with "elliptic" set for round beds.
+     *   options - "spacing" is the gap to leave between parts, while
+     *             "allowRotation" permits turning parts in 90 degree steps.
+     *
+     * Returns an array with an entry per part. Parts that were placed get
+     * {x, y, rotation}, where rotation is counter-clockwise in radians.
+     * Fixed parts and parts that did not fit get null, as do parts with an
+     * empty polygon, which are skipped.
+     */
+    static arrange(parts, bed, options = {}) {
+        const spacing   = options.spacing || 0;
+        const rotations = options.allowRotation ? [0, 1, 2, 3] : [0];
+        const center    = {x: (bed.min.x + bed.max.x) / 2, y: (bed.min.y + bed.max.y) / 2};
+        const size      = {x:  bed.max.x - bed.min.x,      y:  bed.max.y - bed.min.y};
+        const outlines  = parts.map(part => PolygonNester._simplify(PolygonNester.convexHull(part.polygon)));
+        const margin    = spacing > 0 ? PolygonNester._regularPolygon(spacing, 8) : [{x: 0, y: 0}];
+        const place     = (target, score) => PolygonNester._placeAll(parts, outlines, bed, margin, rotations, target, score);
+
+        // Gathering parts around the center of the bed looks best, but
+        // leaves gaps in the corners. When not everything fits, try packing
+        // the parts into a corner instead.
+        let results = place(center, p => Math.pow((p.x - center.x) / size.x, 2) + Math.pow((p.y - center.y) / size.y, 2));
+        const unplaced = results => results.filter((result, i) => !result && !parts[i].fixed && outlines[i].length).length;
+        if(unplaced(results) > 0 && !bed.elliptic) {
+            const packed = place(bed.min, p => (p.y - bed.min.y) / size.y + PolygonNester.scoreEpsilon * (p.x - bed.min.x) / size.x);
+            if(unplaced(packed) < unplaced(results)) {
+                results = packed;
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Runs "arrange()" in a web worker, so that arranging many parts does
+     * not hold up the user interface. Returns a promise for the result.
+     * Only one arrangement runs at a time; starting another stops the
+     * one before it, as does "stopWorker()".
+     */
+    static arrangeInWorker(parts, bed, options = {}) {
+        if(typeof(Worker) === "undefined") {
+            return Promise.resolve(PolygonNester.arrange(parts, bed, options));
+        }
+        PolygonNester.stopWorker();
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(PolygonNester.workerJs);
+            const finish = () => {
+                worker.terminate();
+                PolygonNester.running = null;
+            };
+            PolygonNester.running = {worker, reject};
+            worker.addEventListener('message', e => {
+                finish();
+                resolve(e.data);
+            });
+            worker.addEventListener('error', e => {
+                finish();
+                reject(Error("Unable to arrange the objects: " + e.message));
+            });
+            worker.postMessage({
+                parts,
+                bed: {
+                    min:      {x: bed.min.x, y: bed.min.y},
+                    max:      {x: bed.max.x, y: bed.max.y},
+                    elliptic: bed.elliptic
+                },
+                options
+            });
+        });
+    }
+
+    /**
+     * Stops the arrangement that is running in a web worker, if any,
+     * rejecting its promise. Returns true if one was stopped.
+     */
+    static stopWorker() {
+        const running = PolygonNester.running;
+        if(!running) {
+            return false;
+        }
+        running.worker.terminate();
+        PolygonNester.running = null;
+        running.reject(Error("The arrangement was stopped"));
+        return true;
+    }
+
+    /**
+     * Places parts one at a time at the valid position with the lowest score
+     *
+     *   target - The point the parts are gathered around
+     *   score  - Function giving the score of a position
+     */
+    static _placeAll(parts, outlines, bed, margin, rotations, target, score) {
+        const placed  = outlines.filter((outline, i) => parts[i].fixed && outline.length);
+        const results = parts.map(() => null);
+
+        // Large parts are the hardest to fit, so they are placed first and
+        // the smaller parts fill in the gaps around them.
+        const order = parts.map((part, i) => i).filter(i => !parts[i].fixed && outlines[i].length);
+        const areas = outlines.map(PolygonNester.area);
+        order.sort((a, b) => areas[b] - areas[a]);
+
+        for(const i of order) {
+            let best = null;
+            for(const quarterTurns of rotations) {
+                // Work with the outline centered on its bounding box, so
+                // that the score measures where the part as a whole ends up.
+                const rotated = PolygonNester._rotate(outlines[i], quarterTurns);
+                const offset  = PolygonNester._boxCenter(rotated);
+                const outline = PolygonNester._translate(rotated, -offset.x, -offset.y);
+                const ifp     = PolygonNester._innerFitPolygon(outline, bed);
+                if(!ifp) {
+                    continue;
+                }
+                const reflected = PolygonNester.minkowskiSum(outline, margin).map(p => ({x: -p.x, y: -p.y}));
+                const nfps = placed.map(obstacle => PolygonNester.minkowskiSum(obstacle, reflected));
+                const position = PolygonNester._findPosition(ifp, nfps, target, score);
+                if(position) {
+                    // Prefer not rotating unless it gets the part meaningfully closer
+                    const s = score(position);
+                    if(!best || s < best.score - PolygonNester.scoreEpsilon) {
+                        best = {score: s, quarterTurns, outline, position, offset};
+                    }
+                }
+            }
+            if(best) {
+                results[i] = {
+                    x:        best.position.x - best.offset.x,
+                    y:        best.position.y - best.offset.y,
+                    rotation: best.quarterTurns * Math.PI / 2
+                };
+                placed.push(PolygonNester._translate(best.outline, best.position.x, best.position.y));
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Returns the convex hull of a set of points, counter-clockwise and
+     * without collinear points (Andrew's monotone chain algorithm)
+     */
+    static convexHull(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        if(sorted.length < 3) {
+            return sorted;
+        }
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const lower = [], upper = [];
+        for(const p of sorted) {
+            while(lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+                lower.pop();
+            }
+            lower.push(p);
+        }
+        for(let i = sorted.length - 1; i >= 0; i--) {
+            const p = sorted[i];
+            while(upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+                upper.pop();
+            }
+            upper.push(p);
+        }
+        lower.pop();
+        upper.pop();
+        return lower.concat(upper);
+    }
+
+    /**
+     * Returns the Minkowski sum of two convex polygons
+     */
+    static minkowskiSum(a, b) {
+        a = PolygonNester._startAtBottom(a);
+        b = PolygonNester._startAtBottom(b);
+        const n = a.length, m = b.length, result = [];
+        let i = 0, j = 0;
+        while(i < n || j < m) {
+            result.push({x: a[i % n].x + b[j % m].x, y: a[i % n].y + b[j % m].y});
+            // Advance along whichever polygon has the edge with the smaller angle
+            const ea = {x: a[(i + 1) % n].x - a[i % n].x, y: a[(i + 1) % n].y - a[i % n].y};
+            const eb = {x: b[(j + 1) % m].x - b[j % m].x, y: b[(j + 1) % m].y - b[j % m].y};
+            const cross = ea.x * eb.y - ea.y * eb.x;
+            if(j >= m || (i < n && cross > 0)) {
+                i++;
+            } else if(i >= n || cross < 0) {
+                j++;
+            } else {
+                i++;
+                j++;
+            }
+        }
+        return PolygonNester.convexHull(result);
+    }
+
+    /**
+     * Returns the area of a counter-clockwise polygon
+     */
+    static area(polygon) {
+        let area = 0;
+        for(let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            area += polygon[j].x * polygon[i].y - polygon[i].x * polygon[j].y;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Returns the valid candidate position with the lowest score, or null
+     * if the part cannot be placed.
+     *
+     *   ifp    - Inner-fit polygon; positions where the part is on the bed
+     *   nfps   - No-fit polygons; positions where the part overlaps another
+     *   target - The point the parts are gathered around
+     *   score  - Function giving the score of a position
+     */
+    static _findPosition(ifp, nfps, target, score) {
+        const candidates = [];
+        const addEdgeCandidates = polygon => {
+            for(let i = 0; i < polygon.length; i++) {
+                const a = polygon[i], b = polygon[(i + 1) % polygon.length];
+                candidates.push(a, PolygonNester._closestPointOnSegment(target, a, b));
+            }
+        };
+        candidates.push(target);
+        addEdgeCandidates(ifp);
+        nfps.forEach(addEdgeCandidates);
+
+        // Positions where a part touches two others at once (or touches another
+        // and the edge of the bed) are where the tightest packings are found.
+        const boxes = nfps.map(PolygonNester._boundingBox);
+        const ifpBox = PolygonNester._boundingBox(ifp);
+        for(let i = 0; i < nfps.length; i++) {
+            if(PolygonNester._boxesOverlap(boxes[i], ifpBox)) {
+                PolygonNester._addCrossings(nfps[i], ifp, candidates);
+            }
+            for(let j = i + 1; j < nfps.length; j++) {
+                if(PolygonNester._boxesOverlap(boxes[i], boxes[j])) {
+                    PolygonNester._addCrossings(nfps[i], nfps[j], candidates);
+                }
+            }
+        }
+
+        const scored = candidates.map(p => ({p, score: score(p)}));
+        scored.sort((a, b) => a.score - b.score);
+        for(const {p} of scored) {
+            if(!PolygonNester._insideConvex(ifp, p, true)) {
+                continue;
+            }
+            if(nfps.some((nfp, i) => PolygonNester._insideBox(boxes[i], p) && PolygonNester._insideConvex(nfp, p, false))) {
+                continue;
+            }
+            return p;
+        }
+        return null;
+    }
+
+    /**
+     * Returns the polygon of positions where the part lies entirely on the
+     * bed, or null if it does not fit.
+     */
+    static _innerFitPolygon(outline, bed) {
+        const eps = PolygonNester.epsilon;
+        const box = PolygonNester._boundingBox(outline);
+        const min = {x: bed.min.x - box.min.x, y: bed.min.y - box.min.y};
+        const max = {x: bed.max.x - box.max.x, y: bed.max.y - box.max.y};
+        if(min.x > max.x + eps || min.y > max.y + eps) {
+            return null;
+        }
+        max.x = Math.max(min.x, max.x);
+        max.y = Math.max(min.y, max.y);
+        const rectangle = [{x: min.x, y: min.y}, {x: max.x, y: min.y}, {x: max.x, y: max.y}, {x: min.x, y: max.y}];
+        if(!bed.elliptic) {
+            return rectangle;
+        }
+
+        // On an elliptic bed, the positions that fit form a convex region
+        // around the center. Trace its boundary by searching outwards
+        // along rays from the center.
+        const center = {x: (bed.min.x + bed.max.x) / 2, y: (bed.min.y + bed.max.y) / 2};
+        const radius = {x:  (bed.max.x - bed.min.x) / 2, y:  (bed.max.y - bed.min.y) / 2};
+        const fits = p => outline.every(v =>
+            Math.pow((v.x + p.x - center.x) / radius.x, 2) + Math.pow((v.y + p.y - center.y) / radius.y, 2) <= 1 + eps);
+        if(!fits(center)) {
+            return null;
+        }
+        const boundary = [];
+        const steps = PolygonNester.ellipseSegments;
+        for(let i = 0; i < steps; i++) {
+            const angle = i / steps * 2 * Math.PI;
+            const dir = {x: Math.cos(angle) * radius.x, y: Math.sin(angle) * radius.y};
+            let inside = 0, outside = 1;
+            while(outside - inside > eps) {
+                const t = (inside + outside) / 2;
+                if(fits({x: center.x + dir.x * t, y: center.y + dir.y * t})) {
+                    inside = t;
+                } else {
+                    outside = t;
+                }
+            }
+            boundary.push({x: center.x + dir.x * inside, y: center.y + dir.y * inside});
+        }
+        const hull = PolygonNester.convexHull(boundary);
+        return hull.length < 3 ? [center] : hull;
+    }
+
+    /**
+     * Adds the points where the edges of two polygons cross to a list
+     */
+    static _addCrossings(a, b, points) {
+        for(let i = 0; i < a.length; i++) {
+            const p1 = a[i], p2 = a[(i + 1) % a.length];
+            for(let j = 0; j < b.length; j++) {
+                const q1 = b[j], q2 = b[(j + 1) % b.length];
+                const r = {x: p2.x - p1.x, y: p2.y - p1.y};
+                const s = {x: q2.x - q1.x, y: q2.y - q1.y};
+                const denom = r.x * s.y - r.y * s.x;
+                if(Math.abs(denom) < 1e-12) {
+                    continue;
+                }
+                const t = ((q1.x - p1.x) * s.y - (q1.y - p1.y) * s.x) / denom;
+                const u = ((q1.x - p1.x) * r.y - (q1.y - p1.y) * r.x) / denom;
+                if(t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+                    points.push({x: p1.x + t * r.x, y: p1.y + t * r.y});
+                }
+            }
+        }
+    }
+
+    /**
+     * Tests whether a point lies within a convex polygon. If "inclusive"
+     * is false, points on the boundary count as outside.
+     */
+    static _insideConvex(polygon, p, inclusive) {
+        const eps = PolygonNester.epsilon;
+        if(polygon.length < 3) {
+            // Degenerate polygons have no interior
+            return inclusive && polygon.some(v => Math.abs(v.x - p.x) <= eps && Math.abs(v.y - p.y) <= eps);
+        }
+        for(let i = 0; i < polygon.length; i++) {
+            const a = polygon[i], b = polygon[(i + 1) % polygon.length];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            const cross  = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+            if(inclusive ? cross < -eps * length : cross <= eps * length) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    static _closestPointOnSegment(p, a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+        return {x: a.x + t * dx, y: a.y + t * dy};
+    }
+
+    /**
+     * Footprints of finely tessellated models can have hundreds of vertices.
+     * These are replaced by a slightly larger polygon with fewer vertices,
+     * formed by lines touching the outline at evenly spaced angles.
+     */
+    static _simplify(polygon) {
+        const sides = PolygonNester.maxVertices;
+        if(polygon.length <= sides) {
+            return polygon;
+        }
+        const normals = [], distances = [];
+        for(let i = 0; i < sides; i++) {
+            const angle = i / sides * 2 * Math.PI;
+            const n = {x: Math.cos(angle), y: Math.sin(angle)};
+            normals.push(n);
+            distances.push(Math.max(...polygon.map(v => v.x * n.x + v.y * n.y)));
+        }
+        const result = [];
+        for(let i = 0; i < sides; i++) {
+            const j = (i + 1) % sides;
+            const n1 = normals[i], n2 = normals[j], d1 = distances[i], d2 = distances[j];
+            const det = n1.x * n2.y - n1.y * n2.x;
+            result.push({x: (d1 * n2.y - d2 * n1.y) / det, y: (n1.x * d2 - n2.x * d1) / det});
+        }
+        return PolygonNester.convexHull(result);
+    }
+
+    /**
+     * Returns a regular polygon which encloses a circle of a given radius,
+     * oriented so that the sides facing along the axes touch the circle
+     */
+    static _regularPolygon(radius, sides) {
+        const r = radius / Math.cos(Math.PI / sides);
+        const points = [];
+        for(let i = 0; i < sides; i++) {
+            const angle = (i + 0.5) / sides * 2 * Math.PI;
+            points.push({x: r * Math.cos(angle), y: r * Math.sin(angle)});
+        }
+        return points;
+    }
+
+    /**
+     * Rotates a polygon counter-clockwise about the origin in 90 degree steps
+     */
+    static _rotate(polygon, quarterTurns) {
+        switch(quarterTurns % 4) {
+            case 1:  return polygon.map(p => ({x: -p.y, y:  p.x}));
+            case 2:  return polygon.map(p => ({x: -p.x, y: -p.y}));
+            case 3:  return polygon.map(p => ({x:  p.y, y: -p.x}));
+            default: return polygon;
+        }
+    }
+
+    static _translate(polygon, dx, dy) {
+        return polygon.map(p => ({x: p.x + dx, y: p.y + dy}));
+    }
+
+    /**
+     * Returns a copy of a convex polygon starting at its lowest vertex,
+     * as required by "minkowskiSum()"
+     */
+    static _startAtBottom(polygon) {
+        let start = 0;
+        polygon.forEach((p, i) => {
+            const s = polygon[start];
+            if(p.y < s.y || (p.y == s.y && p.x < s.x)) {
+                start = i;
+            }
+        });
+        return polygon.slice(start).concat(polygon.slice(0, start));
+    }
+
+    static _boundingBox(polygon) {
+        const box = {min: {x: Infinity, y: Infinity}, max: {x: -Infinity, y: -Infinity}};
+        for(const p of polygon) {
+            box.min.x = Math.min(box.min.x, p.x);
+            box.min.y = Math.min(box.min.y, p.y);
+            box.max.x = Math.max(box.max.x, p.x);
+            box.max.y = Math.max(box.max.y, p.y);
+        }
+        return box;
+    }
+
+    static _boxCenter(polygon) {
+        const box = PolygonNester._boundingBox(polygon);
+        return {x: (box.min.x + box.max.x) / 2, y: (box.min.y + box.max.y) / 2};
+    }
+
+    static _boxesOverlap(a, b) {
+        return a.min.x <= b.max.x && b.min.x <= a.max.x && a.min.y <= b.max.y && b.min.y <= a.max.y;
+    }
+
+    static _insideBox(box, p) {
+        return p.x > box.min.x && p.x < box.max.x && p.y > box.min.y && p.y < box.max.y;
+    }
+}
+
+PolygonNester.epsilon         = 1e-4; // Tolerance for touching parts, in mm
+PolygonNester.scoreEpsilon    = 1e-4; // Improvement needed to prefer a rotated part
+PolygonNester.maxVertices     = 32;   // Footprints with more vertices are simplified
+PolygonNester.ellipseSegments = 64;  // Resolution of inner-fit polygons on elliptic beds
+PolygonNester.workerJs        = "lib/util/geometry/PolygonNesterWorker.js";
+PolygonNester.running         = null; // The arrangement running in a web worker, as {worker, reject}
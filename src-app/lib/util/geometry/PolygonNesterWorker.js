@@ -0,0 +1,26 @@
+/**
+ * WebSlicer
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Runs "PolygonNester.arrange()" away from the user interface; see "PolygonNester.arrangeInWorker()"
+
+self.importScripts('PolygonNester.js');
+
+self.addEventListener('message', e => {
+    const {parts, bed, options} = e.data;
+    self.postMessage(PolygonNester.arrange(parts, bed, options));
+});
@@ -0,0 +1,168 @@
+/**
+ * WebSlicer
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * GeometryExporter writes a list of geometries, such as the ones returned by
+ * "Stage.getAllGeometry()", to STL, OBJ or 3MF. Each geometry is written as a
+ * separate object in formats which support it. Coordinates are in millimeters.
+ */
+class GeometryExporter {
+    /**
+     * Returns a Blob with the geometries in the requested format
+     *
+     *   geometries - List of THREE.Geometry or THREE.BufferGeometry
+     *   format     - One of "stl", "obj" or "3mf"
+     */
+    static async export(geometries, format) {
+        switch(format) {
+            case "stl": return new Blob([GeometryExporter.toSTL(geometries)], {type: "model/stl"});
+            case "obj": return new Blob([GeometryExporter.toOBJ(geometries)], {type: "model/obj"});
+            case "3mf": return GeometryExporter.to3MF(geometries);
+            default: throw Error("Unknown export format: " + format);
+        }
+    }
+
+    /**
+     * Returns an ArrayBuffer with a binary STL containing all geometries
+     */
+    static toSTL(geometries) {
+        const meshes = geometries.map(GeometryExporter._getTriangles);
+        const count  = meshes.reduce((sum, mesh) => sum + mesh.indices.length / 3, 0);
+        const buffer = new ArrayBuffer(84 + count * 50);
+        const view   = new DataView(buffer);
+        const header = "Exported by Symple Slicer";
+        for(let i = 0; i < header.length; i++) {
+            view.setUint8(i, header.charCodeAt(i));
+        }
+        view.setUint32(80, count, true);
+
+        const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        let offset = 84;
+        const writeVector = v => {
+            view.setFloat32(offset + 0, v.x, true);
+            view.setFloat32(offset + 4, v.y, true);
+            view.setFloat32(offset + 8, v.z, true);
+            offset += 12;
+        };
+        for(const {positions, indices} of meshes) {
+            for(let i = 0; i < indices.length; i += 3) {
+                a.fromArray(positions, indices[i + 0] * 3);
+                b.fromArray(positions, indices[i + 1] * 3);
+                c.fromArray(positions, indices[i + 2] * 3);
+                THREE.Triangle.getNormal(a, b, c, normal);
+                writeVector(normal);
+                writeVector(a);
+                writeVector(b);
+                writeVector(c);
+                view.setUint16(offset, 0, true);
+                offset += 2;
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Returns a string with an OBJ file containing one object per geometry
+     */
+    static toOBJ(geometries) {
+        const lines = ["# Exported by Symple Slicer"];
+        let vertexOffset = 1;
+        geometries.forEach((geometry, n) => {
+            const {positions, indices} = GeometryExporter._getTriangles(geometry);
+            lines.push("o Object_" + (n + 1));
+            for(let i = 0; i < positions.length; i += 3) {
+                lines.push("v " + GeometryExporter._fmt(positions[i]) + " " + GeometryExporter._fmt(positions[i + 1]) + " " + GeometryExporter._fmt(positions[i + 2]));
+            }
+            for(let i = 0; i < indices.length; i += 3) {
+                lines.push("f " + (indices[i] + vertexOffset) + " " + (indices[i + 1] + vertexOffset) + " " + (indices[i + 2] + vertexOffset));
+            }
+            vertexOffset += positions.length / 3;
+        });
+        lines.push("");
+        return lines.join("\n");
+    }
+
+    /**
+     * Returns a Blob with a 3MF package containing one object per geometry
+     */
+    static to3MF(geometries) {
+        const model = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+            ' <metadata name="Application">Symple Slicer</metadata>',
+            ' <resources>'
+        ];
+        geometries.forEach((geometry, n) => {
+            const {positions, indices} = GeometryExporter._getTriangles(geometry);
+            model.push('  <object id="' + (n + 1) + '" name="Object ' + (n + 1) + '" type="model">');
+            model.push('   <mesh>');
+            model.push('    <vertices>');
+            for(let i = 0; i < positions.length; i += 3) {
+                model.push('     <vertex x="' + GeometryExporter._fmt(positions[i]) + '" y="' + GeometryExporter._fmt(positions[i + 1]) + '" z="' + GeometryExporter._fmt(positions[i + 2]) + '"/>');
+            }
+            model.push('    </vertices>');
+            model.push('    <triangles>');
+            for(let i = 0; i < indices.length; i += 3) {
+                model.push('     <triangle v1="' + indices[i] + '" v2="' + indices[i + 1] + '" v3="' + indices[i + 2] + '"/>');
+            }
+            model.push('    </triangles>');
+            model.push('   </mesh>');
+            model.push('  </object>');
+        });
+        model.push(' </resources>');
+        model.push(' <build>');
+        geometries.forEach((geometry, n) => model.push('  <item objectid="' + (n + 1) + '"/>'));
+        model.push(' </build>');
+        model.push('</model>');
+
+        const zip = new JSZip();
+        zip.file("[Content_Types].xml",
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>' +
+            '</Types>');
+        zip.file("_rels/.rels",
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>' +
+            '</Relationships>');
+        zip.file("3D/3dmodel.model", model.join("\n"));
+        return zip.generate({type: "blob", compression: "DEFLATE"});
+    }
+
+    // Private methods
+
+    /**
+     * Returns the vertex positions and triangle indices of a geometry,
+     * generating the indices for non-indexed geometry
+     */
+    static _getTriangles(geometry) {
+        if(!(geometry instanceof THREE.BufferGeometry)) {
+            geometry = new THREE.BufferGeometry().fromGeometry(geometry);
+        }
+        const positions = geometry.getAttribute("position").array;
+        const indices   = geometry.index ? geometry.index.array : Array.from({length: positions.length / 3}, (v, i) => i);
+        return {positions, indices};
+    }
+
+    static _fmt(value) {
+        return parseFloat(value.toFixed(5)).toString();
+    }
+}
@@ -53,8 +53,14 @@ class GeometryLoader {
             case 'progress':
                 this.onProgress(data.value);
                 break;
-            case 'geometry':
-                this.onGeometryLoaded(jsonToGeometry(data.geometry,true));
+            case 'geometry': {
+                const geometry = jsonToGeometry(data.geometry,true);
+                geometry.userData.meshReport = data.report;
+                this.onGeometryLoaded(geometry);
+                break;
+            }
+            case 'done':
+                this.onLoadFinished();
                 break;
             default:
                 this.onStderrOutput('Unknown command: ' + cmd);
@@ -71,6 +77,7 @@ class GeometryLoader {
     onStderrOutput(str)             {console.log(str);};
     onProgress(progress)            {console.log("Loading progress:", progress);};
     onGeometryLoaded(geometry)      {};
+    onLoadFinished()                {};
 
     // Public methods:
 
@@ -107,10 +114,10 @@ class GeometryLoader {
         const obj = ldr.parse(data);
         obj.traverse( node => {
             if (node instanceof THREE.Mesh) {
-                node.geometry.computeVertexNormals();
-                this.onGeometryLoaded(node.geometry);
+                this.onGeometryLoaded(MeshRepair.repairGeometry(node.geometry));
             }
         });
+        this.onLoadFinished();
     }
 
     loadFromImage(data, attr) {
@@ -134,6 +141,7 @@ class GeometryLoader {
 
                 const geometry = GeometryAlgorithms.geometryFromImageData(imageData, 20, 1);
                 this.onGeometryLoaded(geometry);
+                this.onLoadFinished();
             }
         } else {
             alert("Failed to read file");
@@ -26,6 +26,7 @@ self.importScripts('../../three/three.min.js');
 self.importScripts('../../three/OBJLoader.js');
 self.importScripts('../../three/BufferGeometryUtils.js');
 self.importScripts('../../util/geometry/GeometrySerialize.js');
+self.importScripts('../../util/geometry/MeshRepair.js');
 self.importScripts('../../util/io/StlReader.js');
 
 if(typeof TextEncoder === "undefined") {
@@ -40,7 +41,7 @@ function loadFromOBJ(data) {
   const obj = ldr.parse(str);
   obj.traverse( node => {
     if (node instanceof THREE.Mesh) {
-      geometry.push(node.geometry);
+      geometry.push(MeshRepair.repairGeometry(node.geometry));
     }
   });
   return geometry;
@@ -55,8 +56,7 @@ function loadFromSTL(data) {
     var bufferGeometry = geometryToIndexedBufferGeometry(geometry);
     geometry.dispose();
     self.postMessage({cmd: 'progress', value: 3/4});
-    bufferGeometry.computeVertexNormals();
-    return [bufferGeometry];
+    return [MeshRepair.repairGeometry(bufferGeometry)];
 }
 
 // It seems like the default routine for converting indexed Geometry to BufferGeometry removes
@@ -91,9 +91,12 @@ function send(geometry) {
             self.postMessage({
                 cmd: 'geometry',
                 geometry: payload.data,
+                report:   geometry.userData.meshReport
             }, payload.tranferables);
         }
     );
+    // A file may hold several meshes, so say when all have been sent
+    self.postMessage({cmd: 'done'});
 }
 
 /**
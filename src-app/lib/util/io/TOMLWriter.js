@@ -47,10 +47,11 @@ class TOMLWriter {
                 val_str = JSON.stringify(value);
                 break;
             case "string":
+                value = value.replace(/\\/g, '\\\\');
                 if(value.indexOf('\n') != -1) {
                     val_str = '"""\n' + value + '"""';
                 } else {
-                    val_str = '"' + value + '"';
+                    val_str = '"' + value.replace(/"/g, '\\"') + '"';
                 }
                 break;
         }
@@ -92,6 +93,23 @@ class TOMLWriter {
         }
     }
 
+    /**
+     * Writes out a list of objects as an array of tables, each one
+     * starting with "[[name]]". TOML has no null, so null values are
+     * left out.
+     */
+    writeArrayOfTables(name, list) {
+        for(const obj of list) {
+            if(this.str.length) this.str += "\n";
+            this.str += "[[" + name + "]]\n\n";
+            for (const [key, value] of Object.entries(obj)) {
+                if(value !== null) {
+                    this.writeValue(key, value);
+                }
+            }
+        }
+    }
+
     /**
      * Writes out an object as a TOML file. If whichProperties is specified,
      * it indicates what properties are written and in what order.
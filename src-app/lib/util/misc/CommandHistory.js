@@ -0,0 +1,85 @@
+/**
+ * WebSlicer
+ * Copyright (C) 2020  SynDaver Labs, Inc.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The CommandHistory keeps a list of reversible commands for implementing
+ * undo and redo. A command is any object with an "undo()" and a "redo()"
+ * method; the optional "label" property is used for display purposes.
+ */
+class CommandHistory {
+    constructor(maxLength = 50) {
+        this.maxLength = maxLength;
+        this.clear();
+    }
+
+    /**
+     * Adds a command which has already been carried out to the history.
+     * This discards any commands which were previously undone.
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if(this.undoStack.length > this.maxLength) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    undo() {
+        if(this.canUndo) {
+            const command = this.undoStack.pop();
+            command.undo();
+            this.redoStack.push(command);
+            this.onChange();
+        }
+    }
+
+    redo() {
+        if(this.canRedo) {
+            const command = this.redoStack.pop();
+            command.redo();
+            this.undoStack.push(command);
+            this.onChange();
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    get undoLabel() {
+        return this.canUndo ? this.undoStack[this.undoStack.length - 1].label : undefined;
+    }
+
+    get redoLabel() {
+        return this.canRedo ? this.redoStack[this.redoStack.length - 1].label : undefined;
+    }
+
+    // Event call backs
+    onChange() {}
+}
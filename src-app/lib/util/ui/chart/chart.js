@@ -0,0 +1,213 @@
+/**
+ *
+ * @licstart
+ *
+ * Web Cura
+ * Copyright (C) 2020 SynDaver Labs, Inc.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @licend
+ *
+ */
+
+/**
+ * A small bar chart drawn on a canvas. Clicking or dragging across the
+ * chart selects a bar, and the selected bar is marked with a line.
+ */
+class BarChart {
+    constructor(selector) {
+        this.canvas = document.createElement("canvas");
+        this.canvas.className = "bar-chart";
+        this.canvas.width  = BarChart.width;
+        this.canvas.height = BarChart.height;
+        $(selector).append(this.canvas);
+
+        this.values   = [];
+        this.colors   = [];
+        this.selected = -1;
+
+        const barAt = event => {
+            const rect = this.canvas.getBoundingClientRect();
+            const x = (event.clientX - rect.left) / rect.width;
+            return Math.min(Math.max(Math.floor(x * this.values.length), 0), this.values.length - 1);
+        };
+        let dragging = false;
+        $(this.canvas).on("mousedown", event => {
+            if(this.values.length) {
+                dragging = true;
+                this.onBarSelected(barAt(event));
+            }
+        });
+        $(this.canvas).on("mousemove", event => {
+            if(!this.values.length) {
+                return;
+            }
+            const bar = barAt(event);
+            this.canvas.title = this.tooltip(bar);
+            if(dragging) {
+                this.onBarSelected(bar);
+            }
+        });
+        $(document).on("mouseup", () => dragging = false);
+    }
+
+    /**
+     * Sets the height of each bar and, optionally, the color of each one
+     */
+    setData(values, colors = []) {
+        this.values = values;
+        this.colors = colors;
+        this.draw();
+    }
+
+    setSelected(index) {
+        if(index != this.selected) {
+            this.selected = index;
+            this.draw();
+        }
+    }
+
+    draw() {
+        const ctx = this.canvas.getContext("2d");
+        const w = this.canvas.width, h = this.canvas.height;
+        ctx.clearRect(0, 0, w, h);
+        if(!this.values.length) {
+            return;
+        }
+        const max = Math.max(...this.values) || 1;
+        const barWidth = w / this.values.length;
+        this.values.forEach((value, i) => {
+            const barHeight = Math.max(value / max * h, 1);
+            ctx.fillStyle = this.colors[i] || BarChart.defaultColor;
+            // Bars are at least a pixel wide, so none disappear on long prints
+            ctx.fillRect(i * barWidth, h - barHeight, Math.max(barWidth, 1), barHeight);
+        });
+        if(this.selected >= 0 && this.selected < this.values.length) {
+            const x = Math.round((this.selected + 0.5) * barWidth);
+            ctx.fillStyle = BarChart.selectedColor;
+            ctx.fillRect(x - 1, 0, 2, h);
+        }
+    }
+
+    // Event handlers; can be overriden
+
+    onBarSelected(index) {}
+
+    tooltip(index) {
+        return String(this.values[index]);
+    }
+}
+
+// The size of the canvas, in pixels; it is scaled to fit by the style sheet
+BarChart.width         = 300;
+BarChart.height        = 80;
+
+BarChart.defaultColor  = "steelblue";
+BarChart.selectedColor = "black";
+
+/**
+ * A rolling line chart drawn on a canvas, which shows the last few
+ * samples of one or more series. Each series is given as {label, color},
+ * with "dashed: true" for series such as set-points.
+ */
+class LineChart {
+    constructor(selector, series) {
+        this.canvas = document.createElement("canvas");
+        this.canvas.className = "line-chart";
+        this.canvas.width  = LineChart.width;
+        this.canvas.height = LineChart.height;
+        $(selector).append(this.canvas);
+
+        this.series  = series;
+        this.samples = [];
+    }
+
+    /**
+     * Adds a sample, which holds a value for each series, or null where
+     * a series has no value, dropping the oldest samples once there are
+     * more than "LineChart.maxSamples"
+     */
+    add(values) {
+        this.samples.push(values);
+        if(this.samples.length > LineChart.maxSamples) {
+            this.samples.shift();
+        }
+        this.draw();
+    }
+
+    clear() {
+        this.samples = [];
+        this.draw();
+    }
+
+    draw() {
+        const ctx = this.canvas.getContext("2d");
+        const w = this.canvas.width, h = this.canvas.height;
+        ctx.clearRect(0, 0, w, h);
+
+        // The scale is rounded up to a whole number of grid lines
+        const values = this.samples.flat().filter(value => value != null);
+        const step   = LineChart.gridStep;
+        const max    = Math.ceil(Math.max(LineChart.minRange, ...values) / step) * step;
+        const y      = value => h - value / max * h;
+        ctx.font         = "9px sans-serif";
+        ctx.textBaseline = "top";
+        for(let value = step; value < max; value += step) {
+            ctx.fillStyle = LineChart.gridColor;
+            ctx.fillRect(0, Math.round(y(value)), w, 1);
+            ctx.fillText(value, 2, y(value) + 1);
+        }
+
+        const dx = w / (LineChart.maxSamples - 1);
+        this.series.forEach((series, i) => {
+            ctx.strokeStyle = series.color;
+            ctx.lineWidth   = LineChart.lineWidth;
+            ctx.setLineDash(series.dashed ? [4, 3] : []);
+            ctx.beginPath();
+            let drawing = false;
+            this.samples.forEach((sample, j) => {
+                const value = sample[i];
+                if(value == null) {
+                    drawing = false;
+                    return;
+                }
+                // The newest sample is at the right edge
+                const x = w - (this.samples.length - 1 - j) * dx;
+                if(drawing) {
+                    ctx.lineTo(x, y(value));
+                } else {
+                    ctx.moveTo(x, y(value));
+                }
+                drawing = true;
+            });
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+    }
+}
+
+// The size of the canvas, in pixels; it is scaled to fit by the style sheet
+LineChart.width      = 300;
+LineChart.height     = 120;
+
+// How many samples to show
+LineChart.maxSamples = 150;
+
+// The spacing of the grid lines and the lowest value the scale goes up to
+LineChart.gridStep   = 50;
+LineChart.minRange   = 100;
+
+LineChart.lineWidth  = 1.5;
+LineChart.gridColor  = "#ddd";
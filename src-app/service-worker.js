@@ -68,12 +68,16 @@ const filesToCache = [
     'images/logo.png',
     'images/mirror.png',
     'images/move.png',
+    'images/per-model-settings.png',
     'images/rotate.png',
     'images/scale-max.png',
     'images/scale.png',
     'images/spinner.gif',
+    'images/undo.png',
+    'js/HeadlessSlicer.js',
     'js/OtherUI.js',
     'js/PrintableObject.js',
+    'js/ProjectFile.js',
     'js/PrinterRepresentation.js',
     'js/ProfileManager.js',
     'js/RenderLoop.js',
@@ -82,7 +86,7 @@ const filesToCache = [
     'js/Stage.js',
     'lib/FastestSmallestTextEncoderDecoder/EncoderDecoderTogether.min.js',
     'lib/FileSaver/FileSaver.js',
-    'lib/circlepacker/circlepacker.min.js',
+    'lib/clipper/clipper.js',
     'lib/details-polyfill/details-polyfill.js',
     'lib/jakwings-toml-j0.4/toml-browser.js',
     'lib/jquery/contextmenu/font/context-menu-icons.woff2?4wdhf',
@@ -115,20 +119,38 @@ const filesToCache = [
     'lib/three/TransformControls.js',
     'lib/three/three.min.js',
     'lib/util/crypto/SynDaverWiFi.js',
+    'lib/util/gcode/BedMesh.js',
+    'lib/util/gcode/BedMeshSurface.js',
+    'lib/util/gcode/GCodeAnalyzer.js',
+    'lib/util/gcode/GCodeEncoder.js',
     'lib/util/gcode/GCodeParser.js',
+    'lib/util/gcode/MachineControl.js',
+    'lib/util/gcode/PostProcessor.js',
+    'lib/util/gcode/PrinterConsole.js',
+    'lib/util/gcode/PrintQueue.js',
+    'lib/util/gcode/PrintTimeEstimator.js',
     'lib/util/gcode/Toolpath.js',
+    'lib/util/gcode/ToolpathSimulation.js',
     'lib/util/geometry/FaceRotationHelper.js',
+    'lib/util/geometry/MeshCutter.js',
+    'lib/util/geometry/MeshRepair.js',
+    'lib/util/geometry/PolygonNester.js',
+    'lib/util/geometry/PolygonNesterWorker.js',
     'lib/util/geometry/GeometryAlgorithms.js',
     'lib/util/geometry/GeometrySerialize.js',
     'lib/util/io/FetchFile.js',
     'lib/util/io/GeometryLoader.js',
+    'lib/util/io/GeometryExporter.js',
     'lib/util/io/GeometryLoaderWorker.js',
     'lib/util/io/LoadResource.js',
     'lib/util/io/StlReader.js',
     'lib/util/io/TOMLWriter.js',
     'lib/util/misc/ParseQuery.js',
     'lib/util/misc/ResettableTimer.js',
+    'lib/util/misc/CommandHistory.js',
     'lib/util/misc/Wikify.js',
+    'lib/util/ui/chart/chart.css',
+    'lib/util/ui/chart/chart.js',
     'lib/util/ui/dialog/dialog.css',
     'lib/util/ui/dialog/dialog.js',
     'lib/util/ui/log/log.css',